@@ -71,6 +71,10 @@ final class AppDelegate: NSObject, NSApplicationDelegate {
                 if let components = URLComponents(url: url, resolvingAgainstBaseURL: false),
                    let filePath = components.queryItems?.first(where: { $0.name == "file" })?.value {
                     targetFileURL = URL(fileURLWithPath: filePath)
+                    // Working directory of the Claude Code session, for resolving file references
+                    if let root = components.queryItems?.first(where: { $0.name == "root" })?.value, !root.isEmpty {
+                        FileReferences.rememberProjectRoot(URL(fileURLWithPath: root), for: URL(fileURLWithPath: filePath))
+                    }
                 }
                 NotificationCenter.default.post(name: .ccplanviewRefresh, object: targetFileURL)
             } else {
@@ -1,33 +1,80 @@
 import AppKit
 import CCHookInstaller
 import SwiftUI
+import UniformTypeIdentifiers
 import WebKit
 
 struct ShowDiffKey: FocusedValueKey {
     typealias Value = Binding<Bool>
 }
 
+struct SplitDiffKey: FocusedValueKey {
+    typealias Value = Binding<Bool>
+}
+
+struct ChangesOnlyKey: FocusedValueKey {
+    typealias Value = Binding<Bool>
+}
+
 struct RefreshActionKey: FocusedValueKey {
     typealias Value = () -> Void
 }
 
+struct DiffBaselineKey: FocusedValueKey {
+    typealias Value = Binding<DiffBaseline>
+}
+
+/// The revisions the focused window keeps, and how to pin one (nil: the current one)
+struct RevisionPinning {
+    let revisions: [RevisionInfo]
+    let pin: (Int?) -> Void
+}
+
+struct RevisionPinningKey: FocusedValueKey {
+    typealias Value = RevisionPinning
+}
+
 extension FocusedValues {
     var showDiff: Binding<Bool>? {
         get { self[ShowDiffKey.self] }
         set { self[ShowDiffKey.self] = newValue }
     }
 
+    var splitDiff: Binding<Bool>? {
+        get { self[SplitDiffKey.self] }
+        set { self[SplitDiffKey.self] = newValue }
+    }
+
+    var changesOnly: Binding<Bool>? {
+        get { self[ChangesOnlyKey.self] }
+        set { self[ChangesOnlyKey.self] = newValue }
+    }
+
     var refreshAction: (() -> Void)? {
         get { self[RefreshActionKey.self] }
         set { self[RefreshActionKey.self] = newValue }
     }
+
+    var diffBaseline: Binding<DiffBaseline>? {
+        get { self[DiffBaselineKey.self] }
+        set { self[DiffBaselineKey.self] = newValue }
+    }
+
+    var revisionPinning: RevisionPinning? {
+        get { self[RevisionPinningKey.self] }
+        set { self[RevisionPinningKey.self] = newValue }
+    }
 }
 
 @main
 struct CCPlanViewApp: App {
     @NSApplicationDelegateAdaptor private var appDelegate: AppDelegate
     @FocusedValue(\.showDiff) var showDiff
+    @FocusedValue(\.splitDiff) var splitDiff
+    @FocusedValue(\.changesOnly) var changesOnly
     @FocusedValue(\.refreshAction) var refreshAction
+    @FocusedValue(\.diffBaseline) var diffBaseline
+    @FocusedValue(\.revisionPinning) var revisionPinning
     @State private var isHookConfigured = HookManager.isHookConfigured()
 
     var body: some Scene {
@@ -71,6 +118,12 @@ struct CCPlanViewApp: App {
                 }
             }
             CommandGroup(replacing: .printItem) {
+                Button("Export as HTML…") {
+                    Self.exportHTML()
+                }
+                .keyboardShortcut("e", modifiers: [.command, .shift])
+                .disabled(refreshAction == nil)
+
                 Button("Print…") {
                     guard let window = NSApp.keyWindow,
                           let webView = Self.findWebView(in: window.contentView)
@@ -89,6 +142,46 @@ struct CCPlanViewApp: App {
                 }
                 .keyboardShortcut("p", modifiers: .command)
             }
+            CommandGroup(after: .pasteboard) {
+                Divider()
+
+                Button("Copy Review Feedback") {
+                    Self.evaluateInKeyWebView("exportAnnotations();") { result in
+                        guard let feedback = result as? String, !feedback.isEmpty else {
+                            NSSound.beep()
+                            return
+                        }
+                        NSPasteboard.general.clearContents()
+                        NSPasteboard.general.setString(feedback, forType: .string)
+                    }
+                }
+                .keyboardShortcut("c", modifiers: [.command, .option])
+                .disabled(refreshAction == nil)
+            }
+            CommandGroup(replacing: .textEditing) {
+                Menu("Find") {
+                    Button("Find…") {
+                        guard let window = NSApp.keyWindow,
+                              let webView = Self.findWebView(in: window.contentView)
+                        else { return }
+                        // The find field is in the page, so the page takes keyboard focus
+                        window.makeFirstResponder(webView)
+                        webView.evaluateJavaScript("openFind();")
+                    }
+                    .keyboardShortcut("f", modifiers: .command)
+
+                    Button("Find Next") {
+                        Self.evaluateInKeyWebView("findNext();")
+                    }
+                    .keyboardShortcut("g", modifiers: .command)
+
+                    Button("Find Previous") {
+                        Self.evaluateInKeyWebView("findPrevious();")
+                    }
+                    .keyboardShortcut("g", modifiers: [.command, .shift])
+                }
+                .disabled(refreshAction == nil)
+            }
             CommandGroup(after: .toolbar) {
                 Button(showDiff?.wrappedValue == true ? "Hide Diff" : "Show Diff") {
                     showDiff?.wrappedValue.toggle()
@@ -96,6 +189,87 @@ struct CCPlanViewApp: App {
                 .keyboardShortcut("d", modifiers: .command)
                 .disabled(showDiff == nil)
 
+                Button {
+                    splitDiff?.wrappedValue.toggle()
+                } label: {
+                    if splitDiff?.wrappedValue == true {
+                        Text("✓ Side-by-Side Diff")
+                    } else {
+                        Text("Side-by-Side Diff")
+                    }
+                }
+                .keyboardShortcut("d", modifiers: [.command, .shift])
+                .disabled(splitDiff == nil || showDiff?.wrappedValue != true)
+
+                Button {
+                    changesOnly?.wrappedValue.toggle()
+                } label: {
+                    if changesOnly?.wrappedValue == true {
+                        Text("✓ Changes Only")
+                    } else {
+                        Text("Changes Only")
+                    }
+                }
+                .keyboardShortcut("f", modifiers: [.command, .shift])
+                .disabled(changesOnly == nil || showDiff?.wrappedValue != true || splitDiff?.wrappedValue == true)
+
+                Menu("Diff Baseline") {
+                    ForEach(DiffBaseline.allCases, id: \.self) { baseline in
+                        Button {
+                            diffBaseline?.wrappedValue = baseline
+                        } label: {
+                            if diffBaseline?.wrappedValue == baseline {
+                                Text("✓ \(baseline.title)")
+                            } else {
+                                Text(baseline.title)
+                            }
+                        }
+                    }
+
+                    Divider()
+
+                    Button("Pin Current Revision") {
+                        revisionPinning?.pin(nil)
+                    }
+                    .disabled(revisionPinning?.revisions.isEmpty ?? true)
+
+                    Menu("Pin Revision") {
+                        ForEach(revisionPinning?.revisions ?? [], id: \.id) { revision in
+                            Button {
+                                revisionPinning?.pin(revision.id)
+                            } label: {
+                                if revision.isPinned {
+                                    Text("✓ \(revision.title)")
+                                } else {
+                                    Text(revision.title)
+                                }
+                            }
+                        }
+                    }
+                    .disabled(revisionPinning?.revisions.isEmpty ?? true)
+                }
+                .disabled(diffBaseline == nil)
+
+                Button("Next Change") {
+                    Self.evaluateInKeyWebView("nextChange();")
+                }
+                .keyboardShortcut(.downArrow, modifiers: [.command, .option])
+                .disabled(showDiff?.wrappedValue != true)
+
+                Button("Previous Change") {
+                    Self.evaluateInKeyWebView("previousChange();")
+                }
+                .keyboardShortcut(.upArrow, modifiers: [.command, .option])
+                .disabled(showDiff?.wrappedValue != true)
+
+                Divider()
+
+                Button("Table of Contents") {
+                    Self.evaluateInKeyWebView("toggleToc();")
+                }
+                .keyboardShortcut("s", modifiers: [.command, .control])
+                .disabled(refreshAction == nil)
+
                 Divider()
 
                 Button("Reload") {
@@ -105,6 +279,59 @@ struct CCPlanViewApp: App {
                 .disabled(refreshAction == nil)
             }
         }
+
+        Settings {
+            SettingsView()
+        }
+    }
+
+    private static func evaluateInKeyWebView(_ script: String, completion: ((Any?) -> Void)? = nil) {
+        guard let window = NSApp.keyWindow,
+              let webView = findWebView(in: window.contentView)
+        else { return }
+        webView.evaluateJavaScript(script) { result, _ in
+            completion?(result)
+        }
+    }
+
+    /// Save the document as shown (diff mode and theme) as one self-contained HTML file
+    private static func exportHTML() {
+        guard let window = NSApp.keyWindow,
+              let webView = findWebView(in: window.contentView)
+        else { return }
+        // exportDocument() returns a promise (it reads the images in), so await it
+        webView.callAsyncJavaScript("return await exportDocument();", arguments: [:], in: nil, in: .page) { result in
+            let html: String
+            switch result {
+            case .success(let value as String):
+                html = value
+            case .success:
+                showExportError("The page returned no document.", in: window)
+                return
+            case .failure(let error):
+                showExportError(error.localizedDescription, in: window)
+                return
+            }
+            let panel = NSSavePanel()
+            panel.allowedContentTypes = [.html]
+            panel.nameFieldStringValue = (window.representedURL?.deletingPathExtension().lastPathComponent ?? "Plan") + ".html"
+            panel.beginSheetModal(for: window) { response in
+                guard response == .OK, let url = panel.url else { return }
+                do {
+                    try html.write(to: url, atomically: true, encoding: .utf8)
+                } catch {
+                    NSAlert(error: error).beginSheetModal(for: window)
+                }
+            }
+        }
+    }
+
+    private static func showExportError(_ message: String, in window: NSWindow) {
+        let alert = NSAlert()
+        alert.alertStyle = .warning
+        alert.messageText = "The document couldn't be exported."
+        alert.informativeText = message
+        alert.beginSheetModal(for: window)
     }
 
     private static func findWebView(in view: NSView?) -> WKWebView? {
@@ -157,9 +384,18 @@ struct MainContentView: View {
     @Environment(\.colorScheme) private var colorScheme
     @State private var renderedMarkdown: String = ""
     @State private var showDiff: Bool = true
+    @State private var splitDiff: Bool = false
+    @State private var changesOnly: Bool = false
+    @AppStorage(MarkdownWebView.foldContextKey) private var foldContext: Int = 2
+    @State private var diffBaseline: DiffBaseline = .previous
+    @State private var pinRequest: PinRequest?
+    @State private var revisions: [RevisionInfo] = []
     @State private var hasDiff: Bool = false
+    @State private var tasksDone: Int = 0
+    @State private var tasksTotal: Int = 0
     @State private var fileWatcher: FileWatcher?
     @State private var needsReload: Bool = false
+    @State private var projectRoot: URL?
 
     private var backgroundColor: Color {
         colorScheme == .dark
@@ -175,7 +411,12 @@ struct MainContentView: View {
                 MarkdownWebView(
                     markdown: renderedMarkdown,
                     fileURL: fileURL,
-                    showDiff: showDiff,
+                    projectRoot: projectRoot,
+                    diffMode: showDiff ? (splitDiff ? .split : .inline) : .off,
+                    diffBaseline: diffBaseline,
+                    pinRequest: pinRequest,
+                    changesOnly: changesOnly,
+                    foldContext: foldContext,
                     onFileDrop: { url in
                         openFile(url)
                     }
@@ -197,8 +438,13 @@ struct MainContentView: View {
         }
         .ignoresSafeArea()
         .navigationTitle(fileURL?.lastPathComponent ?? "CCPlanView")
+        .navigationSubtitle(tasksTotal > 0 ? "\(tasksDone)/\(tasksTotal) done" : "")
         .focusedSceneValue(\.showDiff, $showDiff)
+        .focusedSceneValue(\.splitDiff, $splitDiff)
+        .focusedSceneValue(\.changesOnly, $changesOnly)
         .focusedSceneValue(\.refreshAction, refreshContent)
+        .focusedSceneValue(\.diffBaseline, $diffBaseline)
+        .focusedSceneValue(\.revisionPinning, RevisionPinning(revisions: revisions, pin: pinRevision))
         .toolbar {
             ToolbarItemGroup(placement: .primaryAction) {
                 Button {
@@ -209,6 +455,22 @@ struct MainContentView: View {
                 .help(showDiff ? "Hide Diff" : "Show Diff")
                 .disabled(!hasDiff)
 
+                Button {
+                    splitDiff.toggle()
+                } label: {
+                    Image(systemName: splitDiff ? "rectangle.split.2x1.fill" : "rectangle.split.2x1")
+                }
+                .help(splitDiff ? "Inline Diff" : "Side-by-Side Diff")
+                .disabled(!hasDiff || !showDiff)
+
+                Button {
+                    changesOnly.toggle()
+                } label: {
+                    Image(systemName: changesOnly ? "line.3.horizontal.decrease.circle.fill" : "line.3.horizontal.decrease.circle")
+                }
+                .help(changesOnly ? "Show Whole Document" : "Changes Only")
+                .disabled(!hasDiff || !showDiff || splitDiff)
+
                 Button {
                     refreshContent()
                 } label: {
@@ -252,6 +514,16 @@ struct MainContentView: View {
             if let newHasDiff = notification.userInfo?["hasDiff"] as? Bool {
                 hasDiff = newHasDiff
             }
+            revisions = notification.userInfo?["revisions"] as? [RevisionInfo] ?? []
+        }
+        .onReceive(NotificationCenter.default.publisher(for: .ccplanviewTaskProgressChanged)) { notification in
+            if let targetURL = notification.object as? URL {
+                let myPath = fileURL?.resolvingSymlinksInPath().path
+                let targetPath = targetURL.resolvingSymlinksInPath().path
+                guard targetPath == myPath else { return }
+            }
+            tasksDone = notification.userInfo?["done"] as? Int ?? 0
+            tasksTotal = notification.userInfo?["total"] as? Int ?? 0
         }
     }
 
@@ -259,16 +531,24 @@ struct MainContentView: View {
         NSDocumentController.shared.openDocument(withContentsOf: url, display: true) { _, _, _ in }
     }
 
+    private func pinRevision(_ revisionId: Int?) {
+        pinRequest = PinRequest(serial: (pinRequest?.serial ?? 0) + 1, revisionId: revisionId)
+        diffBaseline = .pinned
+    }
+
     private func showOpenPanel() {
         NSDocumentController.shared.openDocument(nil)
     }
 
     private func loadContent() {
         renderedMarkdown = document.markdown
+        projectRoot = fileURL.flatMap(FileReferences.projectRoot(for:))
     }
 
     private func refreshContent() {
         guard let fileURL else { return }
+        // The hook may just have told us which project this plan belongs to
+        projectRoot = FileReferences.projectRoot(for: fileURL)
         if let data = try? Data(contentsOf: fileURL) {
             renderedMarkdown = String(decoding: data, as: UTF8.self)
             needsReload = false
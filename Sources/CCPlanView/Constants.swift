@@ -9,5 +9,6 @@ extension Notification.Name {
     static let ccplanviewRefresh = Notification.Name("CCPlanViewRefresh")
     static let ccplanviewFileChanged = Notification.Name("CCPlanViewFileChanged")
     static let ccplanviewDiffStatusChanged = Notification.Name("CCPlanViewDiffStatusChanged")
+    static let ccplanviewTaskProgressChanged = Notification.Name("CCPlanViewTaskProgressChanged")
     static let hookConfigurationChanged = Notification.Name("HookConfigurationChanged")
 }
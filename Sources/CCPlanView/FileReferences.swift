@@ -0,0 +1,184 @@
+import AppKit
+import os
+import UniformTypeIdentifiers
+import WebKit
+
+private let logger = Logger(subsystem: "sh.saqoo.ccplanview", category: "FileReferences")
+
+/// Source files a plan mentions (`src/foo.ts:42`): where they live and how to open them
+enum FileReferences {
+    /// UserDefaults key for the editor template (empty: the file's default app)
+    static let editorTemplateKey = "editorTemplate"
+    /// UserDefaults key for the project root of each plan, keyed by the plan's path
+    private static let projectRootsKey = "projectRoots"
+    /// How many plans keep their project root; the least recently modified go first
+    private static let maxProjectRoots = 200
+
+    /// Editor templates offered in Settings. `{path}`, `{line}` and `{column}` are filled
+    /// in; a template with `://` is opened as a URL, anything else runs as a shell command.
+    static let editorPresets: [(name: String, template: String)] = [
+        ("Default App", ""),
+        ("Visual Studio Code", "vscode://file/{path}:{line}:{column}"),
+        ("Cursor", "cursor://file/{path}:{line}:{column}"),
+        ("Zed", "zed://file/{path}:{line}:{column}"),
+        ("Sublime Text", "subl://open?url=file://{path}&line={line}&column={column}"),
+        ("JetBrains IDEs", "idea://open?file={path}&line={line}"),
+        ("Xcode", "xed --line {line} {path}"),
+    ]
+
+    /// Types the default app would run rather than show
+    private static let launchableTypes: [UTType] = [.application, .executable, .script]
+    private static let launchableExtensions: Set<String> = [
+        "command", "terminal", "tool", "workflow", "webloc", "inetloc", "fileloc",
+    ]
+
+    /// Open a file at a line with the editor template from Settings
+    @MainActor
+    static func open(path: String, line: Int?, column: Int?) {
+        let fileURL = URL(fileURLWithPath: path).standardizedFileURL
+        let template = UserDefaults.standard.string(forKey: editorTemplateKey) ?? ""
+        guard !template.isEmpty else {
+            openInDefaultApp(fileURL)
+            return
+        }
+
+        if template.contains("://") {
+            let allowed = CharacterSet.urlPathAllowed.subtracting(CharacterSet(charactersIn: "&=?#+"))
+            let encodedPath = fileURL.path.addingPercentEncoding(withAllowedCharacters: allowed) ?? fileURL.path
+            let urlString = fill(template, path: encodedPath, line: line, column: column)
+            guard let url = URL(string: urlString) else {
+                logger.error("Invalid editor URL: \(urlString, privacy: .public)")
+                return
+            }
+            NSWorkspace.shared.open(url)
+        } else {
+            // Login shell, so editors installed under Homebrew or /usr/local are on PATH
+            let quotedPath = "'" + fileURL.path.replacingOccurrences(of: "'", with: "'\\''") + "'"
+            let process = Process()
+            process.executableURL = URL(fileURLWithPath: "/bin/zsh")
+            process.arguments = ["-lc", fill(template, path: quotedPath, line: line, column: column)]
+            do {
+                try process.run()
+            } catch {
+                logger.error("Failed to run editor command: \(error.localizedDescription, privacy: .public)")
+            }
+        }
+    }
+
+    /// The file's default app, unless that would run it: a plan's text decides which
+    /// paths are links, so apps and folders are shown in Finder, and scripts and
+    /// executables open in the text editor
+    @MainActor
+    private static func openInDefaultApp(_ fileURL: URL) {
+        var isDirectory: ObjCBool = false
+        FileManager.default.fileExists(atPath: fileURL.path, isDirectory: &isDirectory)
+        if isDirectory.boolValue {
+            NSWorkspace.shared.activateFileViewerSelecting([fileURL])
+            return
+        }
+        let type = UTType(filenameExtension: fileURL.pathExtension)
+        let launches = FileManager.default.isExecutableFile(atPath: fileURL.path)
+            || launchableExtensions.contains(fileURL.pathExtension.lowercased())
+            || launchableTypes.contains { type?.conforms(to: $0) == true }
+        guard launches else {
+            NSWorkspace.shared.open(fileURL)
+            return
+        }
+        guard let editor = NSWorkspace.shared.urlForApplication(toOpen: .plainText) else {
+            NSWorkspace.shared.activateFileViewerSelecting([fileURL])
+            return
+        }
+        NSWorkspace.shared.open([fileURL], withApplicationAt: editor, configuration: NSWorkspace.OpenConfiguration())
+    }
+
+    private static func fill(_ template: String, path: String, line: Int?, column: Int?) -> String {
+        template
+            .replacingOccurrences(of: "{path}", with: path)
+            .replacingOccurrences(of: "{line}", with: String(line ?? 1))
+            .replacingOccurrences(of: "{column}", with: String(column ?? 1))
+    }
+
+    /// The given paths that exist on disk (`~` expanded), as given
+    static func existingPaths(_ paths: [String]) -> [String] {
+        paths.filter { FileManager.default.fileExists(atPath: NSString(string: $0).expandingTildeInPath) }
+    }
+
+    /// Whether a path (`~` expanded, symlinks resolved) lies inside one of the folders
+    static func isInside(_ path: String, folders: [URL]) -> Bool {
+        let resolved = URL(fileURLWithPath: NSString(string: path).expandingTildeInPath)
+            .standardizedFileURL.resolvingSymlinksInPath().path
+        return folders.contains { folder in
+            let root = folder.standardizedFileURL.resolvingSymlinksInPath().path
+            return resolved.hasPrefix(root.hasSuffix("/") ? root : root + "/")
+        }
+    }
+
+    /// Remember which project a plan belongs to (the hook's working directory)
+    static func rememberProjectRoot(_ root: URL, for planURL: URL) {
+        let planPath = planURL.resolvingSymlinksInPath().path
+        var roots = UserDefaults.standard.dictionary(forKey: projectRootsKey) as? [String: String] ?? [:]
+        roots[planPath] = nil
+        roots = pruned(roots, keeping: maxProjectRoots - 1)
+        roots[planPath] = root.path
+        UserDefaults.standard.set(roots, forKey: projectRootsKey)
+    }
+
+    /// Forget plans that no longer exist, then all but the `limit` most recently modified
+    private static func pruned(_ roots: [String: String], keeping limit: Int) -> [String: String] {
+        let modified = roots.keys.compactMap { path -> (path: String, date: Date)? in
+            let attributes = try? FileManager.default.attributesOfItem(atPath: path)
+            guard let date = attributes?[.modificationDate] as? Date else { return nil }
+            return (path, date)
+        }
+        let kept = modified.sorted { $0.date > $1.date }.prefix(limit)
+        return Dictionary(uniqueKeysWithValues: kept.compactMap { plan in
+            roots[plan.path].map { (plan.path, $0) }
+        })
+    }
+
+    /// The project a plan belongs to: the one remembered from the hook, else the
+    /// nearest folder above the plan that holds a git repository
+    static func projectRoot(for planURL: URL) -> URL? {
+        let roots = UserDefaults.standard.dictionary(forKey: projectRootsKey) as? [String: String]
+        if let root = roots?[planURL.resolvingSymlinksInPath().path] {
+            return URL(fileURLWithPath: root)
+        }
+        var dir = planURL.deletingLastPathComponent()
+        while dir.path != "/" {
+            if FileManager.default.fileExists(atPath: dir.appendingPathComponent(".git").path) {
+                return dir
+            }
+            dir = dir.deletingLastPathComponent()
+        }
+        return nil
+    }
+}
+
+/// Answers index.html's `fileReferences` message with the candidate paths that exist
+/// inside the plan's project or folder, so references that don't resolve can be marked
+/// missing. Only paths answered here may be opened (`openFileReference`).
+final class FileReferenceResolver: NSObject, WKScriptMessageHandlerWithReply {
+    /// Folders references may point into: the project root and the plan's folder
+    var allowedFolders: () -> [URL] = { [] }
+    private(set) var resolvedPaths = Set<String>()
+
+    func userContentController(
+        _ userContentController: WKUserContentController,
+        didReceive message: WKScriptMessage
+    ) async -> (Any?, String?) {
+        guard let paths = message.body as? [String] else {
+            return (nil, "Expected an array of paths")
+        }
+        let folders = allowedFolders()
+        let existing = FileReferences.existingPaths(paths).filter { FileReferences.isInside($0, folders: folders) }
+        resolvedPaths.formUnion(existing)
+        return (existing, nil)
+    }
+
+    /// Whether the page may open a path: one answered as existing, still inside the folders
+    func canOpen(_ path: String) -> Bool {
+        resolvedPaths.contains(path)
+            && !FileReferences.existingPaths([path]).isEmpty
+            && FileReferences.isInside(path, folders: allowedFolders())
+    }
+}
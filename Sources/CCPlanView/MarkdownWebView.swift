@@ -5,10 +5,69 @@ import WebKit
 
 private let logger = Logger(subsystem: "sh.saqoo.ccplanview", category: "MarkdownWebView")
 
+/// Which earlier revision the document is diffed against (`setDiffBaseline` in index.html)
+enum DiffBaseline: String, CaseIterable {
+    case previous
+    case first
+    case pinned
+
+    var title: String {
+        switch self {
+        case .previous: "Compare with Previous Revision"
+        case .first: "Compare with First Revision"
+        case .pinned: "Compare with Pinned Revision"
+        }
+    }
+}
+
+/// A revision the page keeps of the current file (`getRevisionHistory` in index.html)
+struct RevisionInfo: Equatable {
+    let id: Int
+    let date: Date
+    let isCurrent: Bool
+    let isPinned: Bool
+
+    init?(_ entry: [String: Any]) {
+        guard let id = entry["id"] as? Int, let timestamp = entry["timestamp"] as? Double else { return nil }
+        self.id = id
+        date = Date(timeIntervalSince1970: timestamp / 1000)
+        isCurrent = entry["current"] as? Bool ?? false
+        isPinned = entry["pinned"] as? Bool ?? false
+    }
+
+    var title: String {
+        let time = date.formatted(date: .omitted, time: .standard)
+        return isCurrent ? "\(time) (Current)" : time
+    }
+}
+
+/// A request to pin a revision (`pinRevision` in index.html); nil revisionId pins the
+/// current one. Each request is new, so choosing the same item again pins again.
+struct PinRequest: Equatable {
+    let serial: Int
+    let revisionId: Int?
+}
+
+/// How changes are shown (`setDiffMode` in index.html)
+enum DiffMode: String {
+    case inline
+    case split
+    case off
+}
+
 struct MarkdownWebView: NSViewRepresentable {
+    /// UserDefaults key for how many unchanged blocks (or code lines) Changes Only keeps around each change
+    static let foldContextKey = "foldContext"
+
     let markdown: String
     let fileURL: URL?
-    let showDiff: Bool
+    let projectRoot: URL?
+    let diffMode: DiffMode
+    let diffBaseline: DiffBaseline
+    let pinRequest: PinRequest?
+    /// Fold unchanged blocks and code lines, keeping foldContext of each around changes
+    let changesOnly: Bool
+    let foldContext: Int
     let onFileDrop: (URL) -> Void
     @Environment(\.colorScheme) private var colorScheme
 
@@ -20,6 +79,15 @@ struct MarkdownWebView: NSViewRepresentable {
         let config = WKWebViewConfiguration()
         config.preferences.setValue(true, forKey: "allowFileAccessFromFileURLs")
         config.userContentController.add(context.coordinator, name: "diffStatus")
+        config.userContentController.add(context.coordinator, name: "taskProgress")
+        config.userContentController.add(context.coordinator, name: "openFileReference")
+        config.userContentController.add(context.coordinator, name: "diagnostics")
+        let resolver = FileReferenceResolver()
+        resolver.allowedFolders = { [weak coordinator = context.coordinator] in
+            coordinator?.allowedFolders ?? []
+        }
+        context.coordinator.fileReferenceResolver = resolver
+        config.userContentController.addScriptMessageHandler(resolver, contentWorld: .page, name: "fileReferences")
         let webView = WKWebView(frame: .zero, configuration: config)
         webView.isInspectable = true
         webView.underPageBackgroundColor = .white
@@ -46,6 +114,11 @@ struct MarkdownWebView: NSViewRepresentable {
             context.coordinator.pendingMarkdown = markdown
             context.coordinator.pendingIsDarkMode = isDarkMode
             context.coordinator.pendingFileURL = fileURL
+            context.coordinator.pendingProjectRoot = projectRoot
+            context.coordinator.pendingDiffBaseline = diffBaseline
+            context.coordinator.pendingDiffMode = diffMode
+            context.coordinator.pendingChangesOnly = changesOnly
+            context.coordinator.pendingFoldContext = foldContext
             return
         }
 
@@ -56,17 +129,24 @@ struct MarkdownWebView: NSViewRepresentable {
         if fileChanged {
             context.coordinator.lastFileURL = fileURL
             context.coordinator.fileURL = fileURL
-            webView.evaluateJavaScript("resetDiff();")
-            // Set base URL for resolving relative image paths
             if let fileURL = fileURL {
+                // Switch to this file's revision history
+                webView.evaluateJavaScript("setFilePath(`\(Self.escapeForJS(fileURL.path))`);")
+                // Set base URL for resolving relative image paths
                 let baseURL = fileURL.deletingLastPathComponent().path
                 let escapedBase = Self.escapeForJS(baseURL)
                 webView.evaluateJavaScript("setBaseURL(`\(escapedBase)`);")
             } else {
+                webView.evaluateJavaScript("resetDiff();")
                 webView.evaluateJavaScript("setBaseURL(null);")
             }
         }
 
+        if context.coordinator.lastProjectRoot != projectRoot {
+            context.coordinator.lastProjectRoot = projectRoot
+            webView.evaluateJavaScript(Self.setProjectRootScript(projectRoot))
+        }
+
         if themeChanged {
             context.coordinator.lastIsDarkMode = isDarkMode
             // GitHub dark theme background (#0d1117)
@@ -75,19 +155,47 @@ struct MarkdownWebView: NSViewRepresentable {
             webView.evaluateJavaScript(js)
         }
 
+        // Before new content, so it is diffed against the chosen baseline right away;
+        // the page only re-renders for the switch when no new content follows.
+        // Pinning switches to the pinned baseline itself.
+        if let pinRequest, context.coordinator.lastPinRequest != pinRequest {
+            context.coordinator.lastPinRequest = pinRequest
+            context.coordinator.lastDiffBaseline = diffBaseline
+            let revisionId = pinRequest.revisionId.map { String($0) } ?? "null"
+            webView.evaluateJavaScript("pinRevision(\(revisionId), \(!contentChanged));")
+        } else if context.coordinator.lastDiffBaseline != diffBaseline {
+            context.coordinator.lastDiffBaseline = diffBaseline
+            webView.evaluateJavaScript(Self.setDiffBaselineScript(diffBaseline, rerender: !contentChanged))
+        }
+
+        if context.coordinator.lastChangesOnly != changesOnly || context.coordinator.lastFoldContext != foldContext {
+            context.coordinator.lastChangesOnly = changesOnly
+            context.coordinator.lastFoldContext = foldContext
+            webView.evaluateJavaScript("setChangesOnly(\(changesOnly), \(foldContext));")
+        }
+
         if contentChanged {
             context.coordinator.lastMarkdown = markdown
             let escaped = Self.escapeForJS(markdown)
             webView.evaluateJavaScript("renderMarkdown(`\(escaped)`);")
         }
 
-        let diffChanged = context.coordinator.lastShowDiff != showDiff
+        let diffChanged = context.coordinator.lastDiffMode != diffMode
         if diffChanged {
-            context.coordinator.lastShowDiff = showDiff
-            webView.evaluateJavaScript("setDiffEnabled(\(showDiff));")
+            context.coordinator.lastDiffMode = diffMode
+            webView.evaluateJavaScript("setDiffMode('\(diffMode.rawValue)');")
         }
     }
 
+    private static func setDiffBaselineScript(_ baseline: DiffBaseline, rerender: Bool) -> String {
+        "setDiffBaseline('\(baseline.rawValue)', \(rerender));"
+    }
+
+    private static func setProjectRootScript(_ projectRoot: URL?) -> String {
+        guard let projectRoot else { return "setProjectRoot(null);" }
+        return "setProjectRoot(`\(escapeForJS(projectRoot.path))`);"
+    }
+
     private static func escapeForJS(_ string: String) -> String {
         string
             .replacingOccurrences(of: "\\", with: "\\\\")
@@ -105,49 +213,149 @@ struct MarkdownWebView: NSViewRepresentable {
         var lastMarkdown: String?
         var lastIsDarkMode: Bool?
         var lastFileURL: URL?
-        var lastShowDiff: Bool?
+        var lastProjectRoot: URL?
+        var lastDiffMode: DiffMode?
+        var lastDiffBaseline: DiffBaseline?
+        var lastPinRequest: PinRequest?
+        var lastChangesOnly: Bool?
+        var lastFoldContext: Int?
         var isPageLoaded = false
         var pendingMarkdown: String?
         var pendingIsDarkMode: Bool?
         var pendingFileURL: URL?
+        var pendingProjectRoot: URL?
+        var pendingDiffBaseline: DiffBaseline?
+        var pendingDiffMode: DiffMode?
+        var pendingChangesOnly: Bool?
+        var pendingFoldContext: Int?
         var fileURL: URL?
+        var fileReferenceResolver: FileReferenceResolver?
+
+        /// Where file references may lead: the project root and the plan's folder
+        var allowedFolders: [URL] {
+            [lastProjectRoot, fileURL?.deletingLastPathComponent()].compactMap { $0 }
+        }
 
         func userContentController(_ userContentController: WKUserContentController, didReceive message: WKScriptMessage) {
             if message.name == "diffStatus",
                let body = message.body as? [String: Any],
                let hasDiff = body["hasDiff"] as? Bool {
+                let revisions = (body["revisions"] as? [[String: Any]] ?? []).compactMap(RevisionInfo.init)
                 DispatchQueue.main.async {
                     NotificationCenter.default.post(
                         name: .ccplanviewDiffStatusChanged,
                         object: self.fileURL,
-                        userInfo: ["hasDiff": hasDiff]
+                        userInfo: ["hasDiff": hasDiff, "revisions": revisions]
                     )
                 }
+            } else if message.name == "taskProgress",
+                      let body = message.body as? [String: Any],
+                      let done = body["done"] as? Int,
+                      let total = body["total"] as? Int {
+                DispatchQueue.main.async {
+                    NotificationCenter.default.post(
+                        name: .ccplanviewTaskProgressChanged,
+                        object: self.fileURL,
+                        userInfo: ["done": done, "total": total]
+                    )
+                }
+            } else if message.name == "openFileReference",
+                      let body = message.body as? [String: Any],
+                      let path = body["path"] as? String {
+                // The path comes from the page, so it is checked again before anything opens
+                guard fileReferenceResolver?.canOpen(path) == true else {
+                    logger.error("Refused to open file reference outside the plan's project: \(path, privacy: .public)")
+                    return
+                }
+                FileReferences.open(path: path, line: body["line"] as? Int, column: body["column"] as? Int)
+            } else if message.name == "diagnostics",
+                      let body = message.body as? [String: Any] {
+                Self.logDiagnostics(body)
             }
         }
 
+        /// Log a report from index.html's `diagnostics` message: each error, tagged with
+        /// whether the plan or the viewer is at fault, and a render's timings and stats
+        private static func logDiagnostics(_ report: [String: Any]) {
+            let file = (report["file"] as? String).map { URL(fileURLWithPath: $0).lastPathComponent } ?? "-"
+            var errors = report["errors"] as? [[String: Any]] ?? []
+            if let error = report["error"] as? [String: Any] {
+                errors.append(error)
+            }
+            for error in errors {
+                let origin = error["origin"] as? String ?? "viewer"
+                let phase = error["phase"] as? String ?? "unknown"
+                let message = error["message"] as? String ?? ""
+                logger.error(
+                    "\(origin, privacy: .public) error in \(phase, privacy: .public) of \(file, privacy: .public): \(message, privacy: .public)"
+                )
+            }
+
+            guard report["type"] as? String == "render",
+                  let timings = report["timings"] as? [String: Double],
+                  let stats = report["stats"] as? [String: Any]
+            else { return }
+            let blocks = stats["blocks"] as? Int ?? 0
+            let total = timings["total"] ?? 0
+            let lex = timings["lex"] ?? 0
+            let diff = timings["diff"] ?? 0
+            let render = timings["render"] ?? 0
+            logger.debug(
+                "Rendered \(file, privacy: .public): \(blocks) blocks in \(total, format: .fixed(precision: 1)) ms (lex \(lex, format: .fixed(precision: 1)), diff \(diff, format: .fixed(precision: 1)), render \(render, format: .fixed(precision: 1)))"
+            )
+            if stats["diffLimited"] as? Bool == true {
+                logger.notice("Diff of \(file, privacy: .public) hit the edit cost limit; changes may not be minimal")
+            }
+        }
+
+        /// Apply the view state to a freshly loaded page: what updateNSView left pending
+        /// before the first load, or on a reload, the state the page had
         func webView(_ webView: WKWebView, didFinish navigation: WKNavigation!) {
             isPageLoaded = true
 
-            if let isDark = pendingIsDarkMode {
+            if let isDark = pendingIsDarkMode ?? lastIsDarkMode {
                 lastIsDarkMode = isDark
                 webView.evaluateJavaScript("setTheme(\(isDark));")
             }
             // Set base URL before rendering markdown so images resolve correctly
-            if let fileURL = pendingFileURL {
+            if let fileURL = pendingFileURL ?? lastFileURL {
                 lastFileURL = fileURL
+                webView.evaluateJavaScript("setFilePath(`\(MarkdownWebView.escapeForJS(fileURL.path))`);")
                 let baseURL = fileURL.deletingLastPathComponent().path
                 let escapedBase = MarkdownWebView.escapeForJS(baseURL)
                 webView.evaluateJavaScript("setBaseURL(`\(escapedBase)`);")
             }
-            if let markdown = pendingMarkdown, !markdown.isEmpty {
+            if let projectRoot = pendingProjectRoot ?? lastProjectRoot {
+                lastProjectRoot = projectRoot
+                webView.evaluateJavaScript(MarkdownWebView.setProjectRootScript(projectRoot))
+            }
+            if let baseline = pendingDiffBaseline ?? lastDiffBaseline {
+                lastDiffBaseline = baseline
+                webView.evaluateJavaScript(MarkdownWebView.setDiffBaselineScript(baseline, rerender: false))
+            }
+            if let changesOnly = pendingChangesOnly ?? lastChangesOnly,
+               let foldContext = pendingFoldContext ?? lastFoldContext {
+                lastChangesOnly = changesOnly
+                lastFoldContext = foldContext
+                webView.evaluateJavaScript("setChangesOnly(\(changesOnly), \(foldContext));")
+            }
+            if let markdown = pendingMarkdown ?? lastMarkdown, !markdown.isEmpty {
                 lastMarkdown = markdown
                 let escaped = MarkdownWebView.escapeForJS(markdown)
                 webView.evaluateJavaScript("renderMarkdown(`\(escaped)`);")
             }
+            if let mode = pendingDiffMode ?? lastDiffMode {
+                lastDiffMode = mode
+                webView.evaluateJavaScript("setDiffMode('\(mode.rawValue)');")
+            }
             pendingMarkdown = nil
             pendingIsDarkMode = nil
             pendingFileURL = nil
+            pendingProjectRoot = nil
+            pendingDiffBaseline = nil
+            pendingDiffMode = nil
+            pendingChangesOnly = nil
+            pendingFoldContext = nil
         }
 
         func webView(
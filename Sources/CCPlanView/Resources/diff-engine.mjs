@@ -0,0 +1,1717 @@
+/**
+ * CCPlanView diff engine: compares two marked token streams and renders the
+ * result as HTML or as a change list. Loaded by index.html as an ES module and
+ * imported by scripts/ccplanview-diff.mjs and scripts/test-diff.mjs.
+ *
+ * Nothing here touches the DOM. Rendering uses the marked (and hljs) instance
+ * passed to configureRenderer().
+ */
+
+export function range(count) {
+    return Array.from({ length: count }, (_, i) => i);
+}
+
+// Past this many edits a middle-snake search gives up on the optimal split and
+// cuts at the furthest point reached, like xdiff's cost limit. Keeps huge,
+// mostly-rewritten inputs near-linear instead of freezing the WebView.
+const DIFF_EDIT_COST_LIMIT = 1024;
+// How many searches have hit DIFF_EDIT_COST_LIMIT since the module loaded
+let costLimitHits = 0;
+
+// Read before and after a diff to tell whether it settled for a near-optimal result
+export function diffCostLimitHits() {
+    return costLimitHits;
+}
+
+// Myers' O((N+M)D) diff with linear-space middle-snake splitting.
+// Returns matched [aIdx, bIdx] pairs in ascending order.
+export function lcsPairs(aIndices, bIndices, isMatch) {
+    const eq = (i, j) => isMatch(aIndices[i], bIndices[j]);
+    const pairs = [];
+    const stack = [[0, aIndices.length, 0, bIndices.length]];
+    while (stack.length > 0) {
+        let [aLo, aHi, bLo, bHi] = stack.pop();
+        // Common prefix/suffix are matches; trimming them also guarantees progress
+        while (aLo < aHi && bLo < bHi && eq(aLo, bLo)) {
+            pairs.push([aLo++, bLo++]);
+        }
+        while (aLo < aHi && bLo < bHi && eq(aHi - 1, bHi - 1)) {
+            pairs.push([--aHi, --bHi]);
+        }
+        if (aLo === aHi || bLo === bHi) continue;
+        const { x, y, u, v } = middleSnake(eq, aLo, aHi, bLo, bHi);
+        for (let k = 0; k < u - x; k++) pairs.push([x + k, y + k]);
+        if (x - aLo + y - bLo > 0 && (x < aHi || y < bHi)) stack.push([aLo, x, bLo, y]);
+        if (aHi - u + bHi - v > 0 && (u > aLo || v > bLo)) stack.push([u, aHi, v, bHi]);
+    }
+    pairs.sort((p, q) => p[0] - q[0]);
+    return pairs.map(([i, j]) => [aIndices[i], bIndices[j]]);
+}
+
+// Find the middle snake of the shortest edit script for a[aLo..aHi) vs b[bLo..bHi)
+// by running the greedy search from both ends until the paths overlap.
+// Returns the snake's start (x, y) and end (u, v) in absolute indices.
+function middleSnake(eq, aLo, aHi, bLo, bHi) {
+    const N = aHi - aLo, M = bHi - bLo;
+    const delta = N - M;
+    const odd = (delta & 1) !== 0;
+    const max = Math.ceil((N + M) / 2);
+    const offset = max + 1;
+    const vf = new Int32Array(2 * max + 3);
+    const vb = new Int32Array(2 * max + 3);
+    for (let d = 0; d <= max; d++) {
+        if (d > DIFF_EDIT_COST_LIMIT) {
+            costLimitHits++;
+            // Too expensive: split at the forward path that got furthest
+            let best = -d + 1, bestReach = -1;
+            for (let k = -d + 1; k <= d - 1; k += 2) {
+                const fx = Math.min(vf[offset + k], N);
+                const reach = fx + Math.min(fx - k, M);
+                if (fx - k >= 0 && reach > bestReach) { bestReach = reach; best = k; }
+            }
+            const fx = Math.min(vf[offset + best], N);
+            const fy = Math.max(0, Math.min(fx - best, M));
+            return { x: aLo + fx, y: bLo + fy, u: aLo + fx, v: bLo + fy };
+        }
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && vf[offset + k - 1] < vf[offset + k + 1]))
+                ? vf[offset + k + 1]
+                : vf[offset + k - 1] + 1;
+            let y = x - k;
+            const sx = x, sy = y;
+            while (x < N && y < M && eq(aLo + x, bLo + y)) { x++; y++; }
+            vf[offset + k] = x;
+            const bk = delta - k;
+            if (odd && bk >= -(d - 1) && bk <= d - 1 && x + vb[offset + bk] >= N) {
+                return { x: aLo + sx, y: bLo + sy, u: aLo + x, v: bLo + y };
+            }
+        }
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && vb[offset + k - 1] < vb[offset + k + 1]))
+                ? vb[offset + k + 1]
+                : vb[offset + k - 1] + 1;
+            let y = x - k;
+            const sx = x, sy = y;
+            while (x < N && y < M && eq(aHi - 1 - x, bHi - 1 - y)) { x++; y++; }
+            vb[offset + k] = x;
+            const fk = delta - k;
+            if (!odd && fk >= -d && fk <= d && x + vf[offset + fk] >= N) {
+                return { x: aHi - x, y: bHi - y, u: aHi - sx, v: bHi - sy };
+            }
+        }
+    }
+    return { x: aHi, y: bHi, u: aHi, v: bHi };
+}
+
+// Decide where each unpaired old entry is drawn in the new document: before the
+// new position of the next anchored old entry, else right after the previous one.
+// preferPrevious only looks backwards (code lines: red right after the last kept line).
+// anchors: Map<oldIdx, newIdx>. Returns [{ oldIdx, beforeIdx }] in old order.
+function placeDeletions(m, anchors, isDeleted, preferPrevious = false) {
+    const nextAnchor = new Array(m).fill(-1);
+    for (let oi = m - 2; oi >= 0; oi--) {
+        nextAnchor[oi] = anchors.has(oi + 1) ? anchors.get(oi + 1) : nextAnchor[oi + 1];
+    }
+    const placed = [];
+    let prevAnchor = -1;
+    for (let oi = 0; oi < m; oi++) {
+        if (isDeleted(oi)) {
+            let beforeIdx;
+            if (!preferPrevious && nextAnchor[oi] !== -1) beforeIdx = nextAnchor[oi];
+            else beforeIdx = prevAnchor !== -1 ? prevAnchor + 1 : 0;
+            placed.push({ oldIdx: oi, beforeIdx });
+        }
+        if (anchors.has(oi)) prevAnchor = anchors.get(oi);
+    }
+    return placed;
+}
+
+// Returns { changes: Map<newIdx, changeInfo>, deletions: [{beforeNewIdx, oldIdx, token}],
+//           unchanged: Map<newIdx, oldIdx> (identical blocks, moved or not),
+//           paired: Map<newIdx, oldIdx> (identical, compared and moved blocks) }
+// changeInfo = { type: 'added' } | { type: 'modified', oldToken, inlineDiff|null } | { type: 'list', listDiff } |
+//              { type: 'table', tableDiff } | { type: 'code', codeDiff, oldToken } | { type: 'blockquote', bqDiff } |
+//              { type: 'moved', oldIdx, beforeNewIdx, inner: changeInfo|null (edits, if any) }
+// A moved block's beforeNewIdx says where its old position falls in the new
+// document, like a deletion's. listDiff = see diffListItems(). 'blockquote' covers
+// every container of blocks (innerBlocks()): its bqDiff diffs the blocks inside.
+export function diffTokens(oldTokens, newTokens) {
+    const filter = tokens => tokens.filter(t => t.type !== 'space');
+    const oldFiltered = filter(oldTokens);
+    const newFiltered = filter(newTokens);
+    // The last block's raw keeps the file's trailing newline, so appending
+    // after it must not make it look edited
+    const sameRaw = (a, b) => a.raw === b.raw || a.raw.trimEnd() === b.raw.trimEnd();
+
+    const changes = new Map();
+    const deletions = []; // { beforeNewIdx, oldIdx, token }
+
+    // changeInfo for two blocks of the same type, or null if nothing differs
+    function compareBlock(oldToken, newToken) {
+        if (sameRaw(oldToken, newToken)) return null;
+        if (oldToken.type === 'list' && newToken.type === 'list') {
+            const listDiff = diffListItems(oldToken.items, newToken.items);
+            if (listDiff.changed.size > 0 || listDiff.deleted.length > 0) {
+                return { type: 'list', listDiff };
+            }
+            return null;
+        }
+        if (oldToken.type === 'table' && newToken.type === 'table') {
+            const tableDiff = diffTableRows(oldToken, newToken);
+            if (tableDiff.headerChanged || tableDiff.changed.size > 0 || tableDiff.deleted.length > 0) {
+                return { type: 'table', tableDiff };
+            }
+            return null;
+        }
+        if (oldToken.type === 'code' && newToken.type === 'code') {
+            const codeDiff = diffCodeLines(oldToken, newToken);
+            if (codeDiff.changed.size > 0 || codeDiff.deleted.length > 0 || codeDiff.langChanged) {
+                return { type: 'code', codeDiff, oldToken };
+            }
+            return null;
+        }
+        if (innerBlocks(oldToken) && sameContainer(oldToken, newToken)) {
+            const bqDiff = diffTokens(oldToken.tokens, newToken.tokens);
+            if (bqDiff.changes.size > 0 || bqDiff.deletions.length > 0) {
+                return { type: 'blockquote', bqDiff };
+            }
+            return null;
+        }
+        const sameShape = oldToken.type !== 'heading' || oldToken.depth === newToken.depth;
+        const oldInline = inlineTokensOf(oldToken);
+        const newInline = inlineTokensOf(newToken);
+        const inlineDiff = sameShape && oldInline && newInline ? diffInline(oldInline, newInline) : null;
+        return { type: 'modified', oldToken, inlineDiff };
+    }
+
+    // Phase 1: LCS with exact raw match to find identical blocks
+    const m = oldFiltered.length;
+    const n = newFiltered.length;
+    const exactPaired = new Map();
+    const anchors = new Map(); // oldIdx → newIdx, in order
+    const exactPairs = lcsPairs(
+        range(m), range(n),
+        (oi, ni) => sameRaw(oldFiltered[oi], newFiltered[ni])
+    );
+    for (const [oi, ni] of exactPairs) {
+        exactPaired.set(ni, oi);
+        anchors.set(oi, ni);
+    }
+
+    // Phase 2: blocks of the same type between the same two identical blocks
+    // were edited in place
+    const typePaired = new Map();
+    const inPlace = pairWithinGaps(m, n, anchors,
+        (oi, ni) => oldFiltered[oi].type === newFiltered[ni].type);
+    for (const [oi, ni] of inPlace) {
+        typePaired.set(ni, oi);
+        anchors.set(oi, ni);
+    }
+
+    // Phase 3: whatever is left and still matches something elsewhere moved,
+    // as is (identical raw) or edited (similar content)
+    const moves = pairMoves(m, n, anchors,
+        oi => oldFiltered[oi].raw.trimEnd(), ni => newFiltered[ni].raw.trimEnd(),
+        (oi, ni) => blockSimilarity(oldFiltered[oi], newFiltered[ni]));
+    const movedOld = new Set(moves.values());
+    const moveOrigins = new Map();
+    for (const { oldIdx, beforeIdx } of placeDeletions(m, anchors, oi => movedOld.has(oi))) {
+        moveOrigins.set(oldIdx, beforeIdx);
+    }
+
+    for (let k = 0; k < n; k++) {
+        if (exactPaired.has(k)) continue;
+        if (typePaired.has(k)) {
+            const info = compareBlock(oldFiltered[typePaired.get(k)], newFiltered[k]);
+            if (info) changes.set(k, info);
+        } else if (moves.has(k)) {
+            const oldIdx = moves.get(k);
+            const inner = compareBlock(oldFiltered[oldIdx], newFiltered[k]);
+            if (!inner) exactPaired.set(k, oldIdx);
+            changes.set(k, { type: 'moved', oldIdx, beforeNewIdx: moveOrigins.get(oldIdx), inner });
+        } else {
+            changes.set(k, { type: 'added' });
+        }
+    }
+
+    // Find deleted old blocks
+    for (const { oldIdx, beforeIdx } of placeDeletions(m, anchors, oi => !anchors.has(oi) && !movedOld.has(oi))) {
+        deletions.push({ beforeNewIdx: beforeIdx, oldIdx, token: oldFiltered[oldIdx] });
+    }
+    deletions.sort((a, b) => a.beforeNewIdx - b.beforeNewIdx);
+
+    return { changes, deletions, unchanged: exactPaired, paired: new Map([...exactPaired, ...typePaired, ...moves]) };
+}
+
+// Blocks held by a container block: a blockquote, a GitHub alert or a footnote
+// (markdown-extensions.mjs). null for any other token.
+export function innerBlocks(token) {
+    return token.type === 'blockquote' || token.type === 'alert' || token.type === 'footnote' ? token.tokens : null;
+}
+
+// Containers are diffed block by block only if they are the same kind: an alert
+// turned from NOTE into WARNING, or a footnote relabelled, is a new block
+function sameContainer(a, b) {
+    return a.type === b.type && a.kind === b.kind && a.label === b.label;
+}
+
+// Returns { changed: Map<itemIdx, changeInfo>, deleted: [{beforeIdx, oldIdx, item}], paired }
+// paired = Map<newIdx, oldIdx> of every item found again, edited, moved or not.
+// changeInfo = null (added) | { type: 'nestedList', oldIdx, nestedDiff } (sub-list changed) |
+//              { type: 'task', oldIdx, checked, nestedDiff|null } (checkbox ticked or cleared) |
+//              { type: 'modified', oldIdx, oldItem, inlineDiff } (text rewritten in place) |
+//              { type: 'moved', oldIdx, beforeIdx, inner: changeInfo|null (edits, if any) }
+export function diffListItems(oldItems, newItems) {
+    const text = item => item.text;
+    const changed = new Map();
+    const deleted = [];
+
+    // Helper: get parent text of a list item (excluding nested lists)
+    const parentText = item => {
+        if (!item.tokens) return item.text;
+        // Collect text from all non-list tokens to handle bold/link/etc.
+        return item.tokens
+            .filter(t => t.type !== 'list' && t.type !== 'space')
+            .map(t => t.raw || t.text || '')
+            .join('');
+    };
+    // Helper: get nested list from item tokens
+    const nestedList = item => {
+        if (!item.tokens) return null;
+        return item.tokens.find(t => t.type === 'list') || null;
+    };
+    // Same own text, different sub-list: diffed recursively
+    const sameParent = (oldItem, newItem) =>
+        parentText(oldItem) === parentText(newItem) && nestedList(oldItem) && nestedList(newItem);
+    // Own text rewritten, sub-list (if any) untouched: word-diffed
+    const rewrite = (oldItem, newItem) => {
+        const oldInline = inlineTokensOf(oldItem);
+        const newInline = inlineTokensOf(newItem);
+        if (!oldInline || !newInline) return null;
+        if (oldItem.task !== newItem.task) return null;
+        if (nestedList(oldItem)?.raw !== nestedList(newItem)?.raw) return null;
+        return diffInline(oldInline, newInline);
+    };
+    // changeInfo for two paired items, or null when they are identical.
+    // item.text leaves out the item's own checkbox, so identical text can still
+    // hide a ticked or cleared box.
+    const compareItems = (oi, ni) => {
+        const oldItem = oldItems[oi], newItem = newItems[ni];
+        if (text(oldItem) === text(newItem) || sameParent(oldItem, newItem)) {
+            let nestedDiff = null;
+            const oldNested = nestedList(oldItem), newNested = nestedList(newItem);
+            if (oldNested && newNested && oldNested.raw !== newNested.raw) {
+                nestedDiff = diffListItems(oldNested.items, newNested.items);
+                if (nestedDiff.changed.size === 0 && nestedDiff.deleted.length === 0) nestedDiff = null;
+            }
+            if (oldItem.task && newItem.task && oldItem.checked !== newItem.checked) {
+                return { type: 'task', oldIdx: oi, checked: newItem.checked, nestedDiff };
+            }
+            return nestedDiff ? { type: 'nestedList', oldIdx: oi, nestedDiff } : null;
+        }
+        return { type: 'modified', oldIdx: oi, oldItem, inlineDiff: rewrite(oldItem, newItem) };
+    };
+
+    const m = oldItems.length, n = newItems.length;
+    const anchors = new Map(); // oldIdx → newIdx, in order
+    const matchedNew = new Map(); // newIdx → oldIdx
+    const pairs = lcsPairs(
+        range(m), range(n),
+        (oi, ni) => text(oldItems[oi]) === text(newItems[ni])
+    );
+    for (const [oi, ni] of pairs) {
+        anchors.set(oi, ni);
+        matchedNew.set(ni, oi);
+    }
+
+    // Phase 2: pair unmatched items with same parent text (for nested list diff)
+    const nestedPaired = new Map(); // newIdx → oldIdx
+    for (const [oi, ni] of pairWithinGaps(m, n, anchors, (oi, ni) => sameParent(oldItems[oi], newItems[ni]))) {
+        nestedPaired.set(ni, oi);
+        anchors.set(oi, ni);
+    }
+
+    // Phase 3: pair rewritten items in the same gap for an inline word diff.
+    // Only items whose nested list (if any) is untouched qualify.
+    const modifiedPaired = new Map(); // newIdx → oldIdx
+    const inlineDiffs = new Map();
+    const gapPairs = pairWithinGaps(m, n, anchors, (oi, ni) => {
+        const inlineDiff = rewrite(oldItems[oi], newItems[ni]);
+        if (inlineDiff) inlineDiffs.set(`${oi}:${ni}`, inlineDiff);
+        return inlineDiff !== null;
+    });
+    for (const [oi, ni] of gapPairs) {
+        modifiedPaired.set(ni, oi);
+        anchors.set(oi, ni);
+    }
+
+    // Phase 4: items that reappear elsewhere moved, as is or edited
+    const moves = pairMoves(m, n, anchors,
+        oi => text(oldItems[oi]), ni => text(newItems[ni]),
+        (oi, ni) => sameParent(oldItems[oi], newItems[ni]) ? 1 : rewrite(oldItems[oi], newItems[ni])?.similarity ?? 0);
+    const movedOld = new Set(moves.values());
+    const moveOrigins = new Map();
+    for (const { oldIdx, beforeIdx } of placeDeletions(m, anchors, oi => movedOld.has(oi))) {
+        moveOrigins.set(oldIdx, beforeIdx);
+    }
+
+    // Build changes: added, modified, nestedList diff, task or moved
+    for (let k = 0; k < n; k++) {
+        if (matchedNew.has(k)) {
+            // Same text: at most a checkbox changed
+            const info = compareItems(matchedNew.get(k), k);
+            if (info) changed.set(k, info);
+        } else if (modifiedPaired.has(k)) {
+            const oldIdx = modifiedPaired.get(k);
+            changed.set(k, { type: 'modified', oldIdx, oldItem: oldItems[oldIdx], inlineDiff: inlineDiffs.get(`${oldIdx}:${k}`) });
+        } else if (nestedPaired.has(k)) {
+            const info = compareItems(nestedPaired.get(k), k);
+            if (info) changed.set(k, info);
+        } else if (moves.has(k)) {
+            const oldIdx = moves.get(k);
+            changed.set(k, { type: 'moved', oldIdx, beforeIdx: moveOrigins.get(oldIdx), inner: compareItems(oldIdx, k) });
+        } else {
+            changed.set(k, null); // added item
+        }
+    }
+
+    // Deleted items: find insertion position
+    for (const { oldIdx, beforeIdx } of placeDeletions(m, anchors, oi => !anchors.has(oi) && !movedOld.has(oi))) {
+        deleted.push({ beforeIdx, oldIdx, item: oldItems[oldIdx] });
+    }
+    deleted.sort((a, b) => a.beforeIdx - b.beforeIdx);
+    const paired = new Map([...matchedNew, ...nestedPaired, ...modifiedPaired, ...moves]);
+    return { changed, deleted, paired };
+}
+
+// Returns { headerChanged, columns, header: Map<colIdx, oldCell>, changed: Map<rowIdx, rowInfo>,
+//           deleted: [{beforeIdx, oldIdx, cells}], paired: Map<rowIdx, oldRowIdx> }
+// columns = [{ oldCol|null, newCol|null }] in display order: the new table's columns,
+// with removed ones (newCol null) at their old place. A removed column also carries
+// its old header cell and, by new row index, its old cell in that row (or null).
+// header = renamed header cells. rowInfo = null (added) |
+//   { type: 'modified'|'moved', oldIdx, cells: Map<colIdx, cellChange> (edited cells) }
+// plus beforeIdx for a moved row. cellChange = { oldCell, inlineDiff|null }.
+// Rows are compared on the columns both tables share.
+export function diffTableRows(oldToken, newToken) {
+    const cellText = (row, col) => row[col]?.text ?? '';
+    const oldRows = oldToken.rows;
+    const newRows = newToken.rows;
+    const changed = new Map();
+    const deleted = [];
+
+    // Columns: same header text in order, then the columns left between two of
+    // those count as renamed when both sides have as many, else as removed/added
+    const oldCols = oldToken.header.length, newCols = newToken.header.length;
+    const colMap = new Map(); // oldCol → newCol
+    const sameHeaders = lcsPairs(range(oldCols), range(newCols),
+        (oc, nc) => oldToken.header[oc].text === newToken.header[nc].text);
+    let prevOld = -1, prevNew = -1;
+    for (const [ao, an] of [...sameHeaders, [oldCols, newCols]]) {
+        if (ao - prevOld === an - prevNew) {
+            for (let k = 1; prevOld + k < ao; k++) colMap.set(prevOld + k, prevNew + k);
+        }
+        if (ao < oldCols) colMap.set(ao, an);
+        prevOld = ao;
+        prevNew = an;
+    }
+    const newToOldCol = new Map([...colMap].map(([oc, nc]) => [nc, oc]));
+    const shared = [...colMap].sort((a, b) => a[1] - b[1]);
+    const cellChange = (oldCell, newCell) => ({
+        oldCell,
+        inlineDiff: oldCell?.tokens && newCell?.tokens ? diffInline(oldCell.tokens, newCell.tokens) : null,
+    });
+    const header = new Map();
+    for (const [oc, nc] of shared) {
+        const oldCell = oldToken.header[oc], newCell = newToken.header[nc];
+        if (oldCell.text !== newCell.text) header.set(nc, cellChange(oldCell, newCell));
+    }
+
+    const m = oldRows.length, n = newRows.length;
+    // The shared columns' text of each row, computed once for the comparisons below
+    const rowKey = (row, side) => shared.map(pair => cellText(row, pair[side])).join('|');
+    const oldKeys = oldRows.map(row => rowKey(row, 0));
+    const newKeys = newRows.map(row => rowKey(row, 1));
+    const oldToNew = new Map();
+    const pairs = lcsPairs(range(m), range(n), (oi, ni) => oldKeys[oi] === newKeys[ni]);
+    for (const [oi, ni] of pairs) {
+        oldToNew.set(oi, ni);
+    }
+    const matchedNew = new Set(oldToNew.values());
+
+    // Share of the shared columns whose cells are the same
+    const cellSimilarity = (oi, ni) => {
+        if (shared.length === 0) return 0;
+        const same = shared.filter(([oc, nc]) => cellText(oldRows[oi], oc) === cellText(newRows[ni], nc)).length;
+        return same / shared.length;
+    };
+    const changedCells = (oi, ni) => {
+        const cells = new Map();
+        for (const [oc, nc] of shared) {
+            if (cellText(oldRows[oi], oc) === cellText(newRows[ni], nc)) continue;
+            cells.set(nc, cellChange(oldRows[oi][oc], newRows[ni][nc]));
+        }
+        return cells;
+    };
+
+    // Rows edited in place: mostly the same cells, between the same two kept rows
+    const editedPaired = new Map(); // newIdx → oldIdx
+    for (const [oi, ni] of pairWithinGaps(m, n, oldToNew, (oi, ni) => cellSimilarity(oi, ni) >= MOVE_MIN_SIMILARITY)) {
+        editedPaired.set(ni, oi);
+        oldToNew.set(oi, ni);
+    }
+
+    // Rows that reappear elsewhere moved, as is or edited
+    const moves = pairMoves(m, n, oldToNew,
+        oi => oldKeys[oi], ni => newKeys[ni], cellSimilarity);
+    const movedOld = new Set(moves.values());
+    const moveOrigins = new Map();
+    for (const { oldIdx, beforeIdx } of placeDeletions(m, oldToNew, oi => movedOld.has(oi))) {
+        moveOrigins.set(oldIdx, beforeIdx);
+    }
+
+    const rowOld = new Map(); // newIdx → oldIdx, every paired row
+    for (const [oi, ni] of oldToNew) rowOld.set(ni, oi);
+    for (let k = 0; k < n; k++) {
+        if (matchedNew.has(k)) continue;
+        if (editedPaired.has(k)) {
+            const oldIdx = editedPaired.get(k);
+            changed.set(k, { type: 'modified', oldIdx, cells: changedCells(oldIdx, k) });
+        } else if (moves.has(k)) {
+            const oldIdx = moves.get(k);
+            rowOld.set(k, oldIdx);
+            changed.set(k, { type: 'moved', oldIdx, beforeIdx: moveOrigins.get(oldIdx), cells: changedCells(oldIdx, k) });
+        } else {
+            changed.set(k, null);
+        }
+    }
+    for (const { oldIdx, beforeIdx } of placeDeletions(m, oldToNew, oi => !oldToNew.has(oi) && !movedOld.has(oi))) {
+        deleted.push({ beforeIdx, oldIdx, cells: oldRows[oldIdx] });
+    }
+    deleted.sort((a, b) => a.beforeIdx - b.beforeIdx);
+
+    const removed = placeDeletions(oldCols, colMap, oc => !colMap.has(oc)).map(({ oldIdx, beforeIdx }) => ({
+        beforeIdx,
+        column: {
+            oldCol: oldIdx, newCol: null, header: oldToken.header[oldIdx],
+            cells: range(n).map(k => rowOld.has(k) ? oldRows[rowOld.get(k)][oldIdx] ?? null : null),
+        },
+    }));
+    const columns = [];
+    for (let nc = 0; nc <= newCols; nc++) {
+        for (const { beforeIdx, column } of removed) {
+            if (beforeIdx === nc) columns.push(column);
+        }
+        if (nc < newCols) columns.push({ oldCol: newToOldCol.get(nc) ?? null, newCol: nc });
+    }
+    const headerChanged = header.size > 0 || columns.some(c => c.oldCol === null || c.newCol === null);
+    return { headerChanged, columns, header, changed, deleted, paired: rowOld };
+}
+
+// Past this many line comparisons in one run of removed and added lines, the run
+// is shown as whole-line changes without looking for edited lines
+const CODE_LINE_PAIRING_LIMIT = 2500;
+// Code tokens for an intra-line diff: identifiers and numbers, runs of whitespace,
+// single symbols
+const CODE_LINE_TOKEN = /\s+|[\p{L}\p{N}_$]+|[^\s\p{L}\p{N}_$]/gu;
+
+// Changed [start, end) character ranges of two versions of a code line, compared
+// token by token: { oldRanges, newRanges, similarity }, or null when the lines
+// share too little to read as one edited line
+function diffCodeLine(oldLine, newLine) {
+    const tokensOf = line => Array.from(line.matchAll(CODE_LINE_TOKEN), m => ({ text: m[0], start: m.index }));
+    const a = tokensOf(oldLine);
+    const b = tokensOf(newLine);
+    const pairs = lcsPairs(range(a.length), range(b.length), (i, j) => a[i].text === b[j].text);
+    const weight = line => line.replace(/\s+/g, '').length;
+    const same = pairs.reduce((sum, [i]) => sum + weight(a[i].text), 0);
+    const total = weight(oldLine) + weight(newLine);
+    const similarity = total === 0 ? 1 : (2 * same) / total;
+    if (similarity < INLINE_DIFF_MIN_SIMILARITY) return null;
+    // Unpaired tokens, adjacent ones merged into one range
+    const changedRanges = (tokens, kept) => {
+        const ranges = [];
+        tokens.forEach((token, i) => {
+            if (kept.has(i)) return;
+            const end = token.start + token.text.length;
+            if (ranges.at(-1)?.[1] === token.start) ranges.at(-1)[1] = end;
+            else ranges.push([token.start, end]);
+        });
+        return ranges;
+    };
+    return {
+        oldRanges: changedRanges(a, new Set(pairs.map(([i]) => i))),
+        newRanges: changedRanges(b, new Set(pairs.map(([, j]) => j))),
+        similarity,
+    };
+}
+
+// Returns { changed: Map<lineIdx, { oldIdx, ranges }|null>, deleted: [{beforeIdx, oldIdx, line, ranges}],
+//           langChanged, paired: Map<lineIdx, oldLineIdx> }
+// A null entry in changed is an added line. An edited line (a removed and an added
+// line similar enough for diffCodeLine()) has the old line's index and its changed
+// ranges, and its old line is in deleted with the old side's ranges (else null).
+// paired holds both the identical and the edited lines.
+export function diffCodeLines(oldToken, newToken) {
+    const oldLines = oldToken.text.split('\n');
+    const newLines = newToken.text.split('\n');
+    const langChanged = (oldToken.lang || '') !== (newToken.lang || '');
+    const changed = new Map();
+    const deleted = [];
+
+    const m = oldLines.length, n = newLines.length;
+    const oldToNew = new Map();
+    const pairs = lcsPairs(
+        range(m), range(n),
+        (oi, ni) => oldLines[oi] === newLines[ni]
+    );
+    for (const [oi, ni] of pairs) {
+        oldToNew.set(oi, ni);
+    }
+
+    // Edited lines: in each run of removed and added lines between two identical
+    // ones, pair the lines that are similar, in order
+    const edits = new Map();
+    const oldRangesOf = new Map();
+    let prevOld = -1, prevNew = -1;
+    for (const [oi, ni] of [...pairs, [m, n]]) {
+        const oldRun = range(oi - prevOld - 1).map(k => prevOld + 1 + k);
+        const newRun = range(ni - prevNew - 1).map(k => prevNew + 1 + k);
+        if (oldRun.length > 0 && newRun.length > 0 && oldRun.length * newRun.length <= CODE_LINE_PAIRING_LIMIT) {
+            const lineDiffs = new Map();
+            const lineDiff = (o, k) => {
+                const key = o * n + k;
+                if (!lineDiffs.has(key)) lineDiffs.set(key, diffCodeLine(oldLines[o], newLines[k]));
+                return lineDiffs.get(key);
+            };
+            for (const [o, k] of lcsPairs(oldRun, newRun, (o, k) => lineDiff(o, k) !== null)) {
+                edits.set(k, { oldIdx: o, ranges: lineDiff(o, k).newRanges });
+                oldRangesOf.set(o, lineDiff(o, k).oldRanges);
+            }
+        }
+        prevOld = oi;
+        prevNew = ni;
+    }
+
+    const matchedNew = new Set(oldToNew.values());
+    for (let k = 0; k < n; k++) {
+        if (!matchedNew.has(k)) changed.set(k, edits.get(k) ?? null);
+    }
+    // Place deleted line right after previous matched line's new position
+    // This ensures deleted(red) appears before added(green) at the same position
+    for (const { oldIdx, beforeIdx } of placeDeletions(m, oldToNew, oi => !oldToNew.has(oi), true)) {
+        deleted.push({ beforeIdx, oldIdx, line: oldLines[oldIdx], ranges: oldRangesOf.get(oldIdx) ?? null });
+    }
+    deleted.sort((a, b) => a.beforeIdx - b.beforeIdx);
+    const paired = new Map([...oldToNew].map(([oi, ni]) => [ni, oi]));
+    for (const [k, { oldIdx }] of edits) paired.set(k, oldIdx);
+    return { changed, deleted, langChanged, paired };
+}
+
+// Tally a diffTokens() result the way the change navigator lists it:
+// { added, changed, deleted, moved, tasks, total }. A moved entry counts once,
+// edited or not; tasks are checkboxes ticked or cleared.
+export function countChanges(diffResult) {
+    const counts = { added: 0, changed: 0, deleted: 0, moved: 0, tasks: 0, total: 0 };
+    const countList = listDiff => {
+        for (const [, info] of listDiff.changed) {
+            if (info === null) counts.added++;
+            else if (info.type === 'nestedList') countList(info.nestedDiff);
+            else if (info.type === 'moved') counts.moved++;
+            else if (info.type === 'task') {
+                counts.tasks++;
+                if (info.nestedDiff) countList(info.nestedDiff);
+            } else counts.changed++;
+        }
+        counts.deleted += listDiff.deleted.length;
+    };
+    const countBlocks = result => {
+        counts.deleted += result.deletions.length;
+        for (const [, detail] of result.changes) {
+            if (detail.type === 'added') {
+                counts.added++;
+            } else if (detail.type === 'moved') {
+                counts.moved++;
+            } else if (detail.type === 'list') {
+                countList(detail.listDiff);
+            } else if (detail.type === 'table') {
+                const td = detail.tableDiff;
+                for (const column of td.columns) {
+                    if (column.oldCol === null) counts.added++;
+                    else if (column.newCol === null) counts.deleted++;
+                }
+                counts.changed += td.header.size;
+                for (const [, rowInfo] of td.changed) {
+                    if (rowInfo === null) counts.added++;
+                    else if (rowInfo.type === 'moved') counts.moved++;
+                    else counts.changed++;
+                }
+                counts.deleted += td.deleted.length;
+            } else if (detail.type === 'blockquote') {
+                const before = counts.added + counts.changed + counts.deleted + counts.moved + counts.tasks;
+                countBlocks(detail.bqDiff);
+                if (counts.added + counts.changed + counts.deleted + counts.moved + counts.tasks === before) counts.changed++;
+            } else {
+                counts.changed++;
+            }
+        }
+    };
+    countBlocks(diffResult);
+    counts.total = counts.added + counts.changed + counts.deleted + counts.moved + counts.tasks;
+    return counts;
+}
+
+// Line up the top-level blocks of a diffTokens() result for the side-by-side
+// view: paired blocks share a row, and the deleted and added blocks between two
+// pairs are zipped into shared rows, top to bottom. A moved block counts as
+// deleted at its old position and added at its new one.
+// Returns [{ oldIdx|null, newIdx|null }]
+export function splitRows(diffResult, newCount) {
+    const paired = diffResult.paired;
+    const deletions = [...diffResult.deletions];
+    for (const [, detail] of diffResult.changes) {
+        if (detail.type === 'moved') deletions.push(detail);
+    }
+    deletions.sort((a, b) => a.beforeNewIdx - b.beforeNewIdx || a.oldIdx - b.oldIdx);
+    const rows = [];
+    const gapOld = [];
+    const gapNew = [];
+    const flushGap = () => {
+        for (let i = 0; i < Math.max(gapOld.length, gapNew.length); i++) {
+            rows.push({ oldIdx: gapOld[i] ?? null, newIdx: gapNew[i] ?? null });
+        }
+        gapOld.length = 0;
+        gapNew.length = 0;
+    };
+    let di = 0;
+    for (let k = 0; k < newCount; k++) {
+        while (di < deletions.length && deletions[di].beforeNewIdx <= k) gapOld.push(deletions[di++].oldIdx);
+        if (paired.has(k) && diffResult.changes.get(k)?.type !== 'moved') {
+            flushGap();
+            rows.push({ oldIdx: paired.get(k), newIdx: k });
+        } else {
+            gapNew.push(k);
+        }
+    }
+    while (di < deletions.length) gapOld.push(deletions[di++].oldIdx);
+    flushGap();
+    return rows;
+}
+
+// Pair leftover old/new entries that sit between the same two anchors, in order,
+// so a rewritten entry can be shown as an in-place edit instead of delete + add.
+// anchors: Map<oldIdx, newIdx>; crossing anchors (from greedy pairing) are skipped.
+// Returns Map<oldIdx, newIdx>
+function pairWithinGaps(m, n, anchors, canPair) {
+    const anchoredNew = new Set(anchors.values());
+    const sorted = [...anchors].sort((a, b) => a[0] - b[0]);
+    sorted.push([m, n]);
+    const pairs = new Map();
+    let prevOld = -1, prevNew = -1;
+    for (const [ao, an] of sorted) {
+        if (an <= prevNew) continue;
+        let k = prevNew + 1;
+        for (let oi = prevOld + 1; oi < ao && k < an; oi++) {
+            if (anchors.has(oi)) continue;
+            for (let search = k; search < an; search++) {
+                if (anchoredNew.has(search) || !canPair(oi, search)) continue;
+                pairs.set(oi, search);
+                k = search + 1;
+                break;
+            }
+        }
+        prevOld = ao;
+        prevNew = an;
+    }
+    return pairs;
+}
+
+// Leftover entries at least this similar are taken for one entry that moved and
+// was edited, rather than an unrelated deletion and addition
+const MOVE_MIN_SIMILARITY = 0.5;
+// Similarity is only scored when leftovers are few enough (old × new pairs)
+const MOVE_SIMILARITY_MAX_PAIRS = 10000;
+
+// Pair entries left over after in-order pairing that reappear elsewhere: identical
+// ones by key (first come, first paired), then the most similar remaining ones
+// that sit in a different gap between anchors (in the same gap they'd just be
+// out of order among themselves). anchors: Map<oldIdx, newIdx>, non-crossing.
+// Returns Map<newIdx, oldIdx>
+export function pairMoves(m, n, anchors, keyOld, keyNew, similarity) {
+    const anchoredNew = new Set(anchors.values());
+    const leftOld = range(m).filter(oi => !anchors.has(oi));
+    const leftNew = range(n).filter(ni => !anchoredNew.has(ni));
+    const moves = new Map();
+    if (leftOld.length === 0 || leftNew.length === 0) return moves;
+
+    const byKey = new Map();
+    for (const oi of leftOld) {
+        const key = keyOld(oi);
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(oi);
+    }
+    const usedOld = new Set();
+    for (const ni of leftNew) {
+        const candidates = byKey.get(keyNew(ni));
+        if (!candidates || candidates.length === 0) continue;
+        const oi = candidates.shift();
+        moves.set(ni, oi);
+        usedOld.add(oi);
+    }
+
+    const restOld = leftOld.filter(oi => !usedOld.has(oi));
+    const restNew = leftNew.filter(ni => !moves.has(ni));
+    if (restOld.length * restNew.length > MOVE_SIMILARITY_MAX_PAIRS) return moves;
+    // Gap index = number of anchors before the entry, on its own side
+    const gapOld = [], gapNew = [];
+    for (let oi = 0, g = 0; oi < m; oi++) { if (anchors.has(oi)) g++; gapOld[oi] = g; }
+    for (let ni = 0, g = 0; ni < n; ni++) { if (anchoredNew.has(ni)) g++; gapNew[ni] = g; }
+    for (const ni of restNew) {
+        let best = -1, bestScore = MOVE_MIN_SIMILARITY;
+        for (const oi of restOld) {
+            if (usedOld.has(oi) || gapOld[oi] === gapNew[ni]) continue;
+            const score = similarity(oi, ni);
+            if (score > bestScore || (best === -1 && score === bestScore)) { best = oi; bestScore = score; }
+        }
+        if (best !== -1) {
+            moves.set(ni, best);
+            usedOld.add(best);
+        }
+    }
+    return moves;
+}
+
+// Share of words two texts have in common, in order (0..1)
+function textSimilarity(a, b) {
+    const wa = a.match(/\S+/g) || [];
+    const wb = b.match(/\S+/g) || [];
+    if (wa.length + wb.length === 0) return 1;
+    const common = lcsPairs(range(wa.length), range(wb.length), (i, j) => wa[i] === wb[j]).length;
+    return (2 * common) / (wa.length + wb.length);
+}
+
+// How alike two blocks are (0..1); blocks of different types never match
+function blockSimilarity(oldToken, newToken) {
+    if (oldToken.type !== newToken.type) return 0;
+    const oldInline = inlineTokensOf(oldToken);
+    const newInline = inlineTokensOf(newToken);
+    if (oldInline && newInline) return diffInline(oldInline, newInline)?.similarity ?? 0;
+    return textSimilarity(oldToken.raw, newToken.raw);
+}
+
+// Below this share of unchanged text, a word diff is harder to read than
+// showing the old block (red) above the new one (green)
+const INLINE_DIFF_MIN_SIMILARITY = 0.5;
+
+// Split inline tokens into word-level atoms. strong/em/del are flattened into a
+// wrapper chain so formatting survives the diff; links, code spans, images and
+// raw HTML stay atomic so markup is never split in the middle.
+// CJK characters become one atom each since those scripts don't use spaces.
+function inlineAtoms(tokens, wrap = [], out = []) {
+    const wrapKey = wrap.join('>');
+    for (const t of tokens) {
+        if ((t.type === 'strong' || t.type === 'em' || t.type === 'del') && t.tokens) {
+            inlineAtoms(t.tokens, [...wrap, t.type], out);
+        } else if (t.type === 'text' && t.tokens) {
+            inlineAtoms(t.tokens, wrap, out);
+        } else if ((t.type === 'text' && !t.escaped) || t.type === 'escape') {
+            const words = t.text.match(/\s+|[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+            for (const word of words) {
+                out.push({ key: wrapKey + '|' + word, wrap, text: word });
+            }
+        } else {
+            out.push({ key: wrapKey + '|' + t.type + ':' + t.raw, wrap, token: t });
+        }
+    }
+    return out;
+}
+
+// Returns { ops: [{ op: 'equal'|'added'|'deleted', atom }], similarity } or null
+// when the two inlines share too little for an in-place word diff
+export function diffInline(oldInline, newInline) {
+    const a = inlineAtoms(oldInline);
+    const b = inlineAtoms(newInline);
+    const weight = atom => (atom.text ?? atom.token.raw).replace(/\s+/g, '').length;
+    const pairs = lcsPairs(range(a.length), range(b.length), (i, j) => a[i].key === b[j].key);
+    const ops = [];
+    let i = 0, j = 0, same = 0;
+    for (const [pi, pj] of [...pairs, [a.length, b.length]]) {
+        while (i < pi) ops.push({ op: 'deleted', atom: a[i++] });
+        while (j < pj) ops.push({ op: 'added', atom: b[j++] });
+        if (pi < a.length) {
+            ops.push({ op: 'equal', atom: b[pj] });
+            same += weight(b[pj]);
+            i++; j++;
+        }
+    }
+    const total = a.reduce((s, x) => s + weight(x), 0) + b.reduce((s, x) => s + weight(x), 0);
+    const similarity = total === 0 ? 1 : (2 * same) / total;
+    if (similarity < INLINE_DIFF_MIN_SIMILARITY) return null;
+    return { ops, similarity };
+}
+
+// Inline tokens of a block that can be word-diffed, or null for anything else
+export function inlineTokensOf(token) {
+    if (token.type === 'paragraph' || token.type === 'heading') return token.tokens;
+    if (token.type === 'list_item') {
+        const blocks = token.tokens.filter(t => t.type !== 'space' && t.type !== 'list');
+        if (blocks.length !== 1) return null;
+        if (blocks[0].type !== 'text' && blocks[0].type !== 'paragraph') return null;
+        return blocks[0].tokens || null;
+    }
+    return null;
+}
+
+// --- HTML sanitizing ---
+// Markdown may carry raw HTML, and the page can read the whole disk, so every
+// string marked renders goes through sanitizeHtml() before it reaches the DOM.
+// The output is rebuilt from an allowlist: other tags are dropped but keep their
+// text (script, style, embedded documents and foreign markup lose their content
+// too), attributes outside the list go, kept values are re-escaped, and URLs
+// must be relative or use a safe scheme. Classes are kept only when they are the
+// diff's own (<code>'s language) or the markdown extensions' (SANITIZE_CLASSES).
+const SANITIZE_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+    'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li',
+    'mark', 'ol', 'p', 'pre', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'small', 'span',
+    'strike', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th',
+    'thead', 'tr', 'tt', 'u', 'ul', 'var', 'wbr'
+]);
+const SANITIZE_VOID_TAGS = new Set(['br', 'col', 'hr', 'img', 'input', 'wbr']);
+const SANITIZE_DROP_CONTENT = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'noscript', 'noembed', 'noframes', 'template', 'textarea', 'title', 'xmp',
+    'plaintext', 'svg', 'math', 'select'
+]);
+const SANITIZE_ATTRS = {
+    '*': ['title', 'lang', 'dir', 'class'],
+    a: ['href', 'name', 'id'],
+    div: ['id'],
+    img: ['src', 'alt', 'width', 'height'],
+    input: ['type', 'checked'],
+    ol: ['start', 'type'],
+    li: ['value'],
+    td: ['align', 'colspan', 'rowspan'],
+    th: ['align', 'colspan', 'rowspan', 'scope'],
+    col: ['span'],
+    colgroup: ['span'],
+    details: ['open'],
+    blockquote: ['cite'],
+    q: ['cite'],
+    del: ['cite', 'datetime'],
+    ins: ['cite', 'datetime'],
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id']
+};
+// Markup of markdown-extensions.mjs: alerts, footnotes and the front matter card
+const SANITIZE_CLASSES = new Set([
+    'markdown-alert', 'markdown-alert-title', 'markdown-alert-note', 'markdown-alert-tip',
+    'markdown-alert-important', 'markdown-alert-warning', 'markdown-alert-caution',
+    'footnote', 'footnote-label', 'footnote-ref', 'front-matter'
+]);
+const SANITIZE_URL_ATTRS = new Set(['href', 'src', 'cite']);
+// Ids and anchor names written in raw HTML go under this prefix (as on GitHub), so
+// they can't take the heading, footnote or viewer ids the page looks elements up by
+const USER_ID_PREFIX = 'user-content-';
+const SANITIZE_ID_ATTRS = new Set(['id', 'name']);
+const SAFE_URL_SCHEMES = new Set(['http', 'https', 'mailto', 'file']);
+
+export function escapeHtml(s) {
+    return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Attribute values come in raw; entities are kept, everything else is escaped
+function escapeAttribute(value) {
+    return value.replace(/&(?!#?[a-z0-9]+;)/gi, '&amp;')
+        .replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Whether a URL attribute is safe, judged the way the browser will read it:
+// character references decoded, tabs, newlines and control characters ignored
+function isSafeUrl(value, attr) {
+    const url = value
+        .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16) || 0xfffd))
+        .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(Number(dec) || 0xfffd))
+        .replace(/&colon;/g, ':').replace(/&(Tab|NewLine);/g, '')
+        .replace(/[\u0000- \u007f]/g, '');
+    const scheme = url.match(/^([^:/?#]*):/)?.[1].toLowerCase();
+    if (scheme === undefined) return true;
+    if (SAFE_URL_SCHEMES.has(scheme)) return true;
+    return scheme === 'data' && attr === 'src' && /^data:image\//i.test(url);
+}
+
+function sanitizeAttributes(tag, source, userContent) {
+    const allowed = [...SANITIZE_ATTRS['*'], ...(SANITIZE_ATTRS[tag] || [])];
+    const attrs = new Map();
+    const attrPattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    for (const m of source.matchAll(attrPattern)) {
+        const name = m[1].toLowerCase();
+        const value = m[2] ?? m[3] ?? m[4] ?? '';
+        if (attrs.has(name) || !allowed.includes(name)) continue;
+        if (SANITIZE_URL_ATTRS.has(name) && !isSafeUrl(value, name)) continue;
+        if (userContent && SANITIZE_ID_ATTRS.has(name) && !value.startsWith(USER_ID_PREFIX)) {
+            attrs.set(name, USER_ID_PREFIX + value);
+            continue;
+        }
+        attrs.set(name, value);
+    }
+    if (tag === 'input') {
+        // Only task-list checkboxes, and never editable
+        if (attrs.get('type')?.toLowerCase() !== 'checkbox') return null;
+        attrs.set('disabled', '');
+    }
+    if (attrs.has('class')) {
+        const keep = tag === 'code' ? c => /^language-\S+$/.test(c) : c => SANITIZE_CLASSES.has(c);
+        const classes = attrs.get('class').split(/\s+/).filter(keep);
+        if (classes.length) attrs.set('class', classes.join(' '));
+        else attrs.delete('class');
+    }
+    return [...attrs].map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+}
+
+// Rebuild an HTML string from allowlisted tags and attributes. userContent: the
+// HTML is the author's own (a raw HTML token), so its ids get USER_ID_PREFIX.
+export function sanitizeHtml(html, { userContent = false } = {}) {
+    const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/y;
+    let out = '';
+    let pos = 0;
+    while (pos < html.length) {
+        const lt = html.indexOf('<', pos);
+        if (lt === -1) {
+            out += html.slice(pos).replace(/>/g, '&gt;');
+            break;
+        }
+        out += html.slice(pos, lt).replace(/>/g, '&gt;');
+        pos = lt;
+        // Comments, doctypes, processing instructions and CDATA go entirely
+        const markup = html.slice(pos).match(/^<!--[\s\S]*?(?:-->|$)|^<[!?][^>]*>?/);
+        if (markup) {
+            pos += markup[0].length;
+            continue;
+        }
+        tagPattern.lastIndex = pos;
+        const m = tagPattern.exec(html);
+        if (!m) {
+            out += '&lt;';
+            pos++;
+            continue;
+        }
+        pos = tagPattern.lastIndex;
+        const closing = m[1] === '/';
+        const tag = m[2].toLowerCase();
+        if (SANITIZE_DROP_CONTENT.has(tag)) {
+            if (!closing) {
+                const end = new RegExp(`</${tag}\\s*>`, 'ig');
+                end.lastIndex = pos;
+                pos = end.exec(html) ? end.lastIndex : html.length;
+            }
+            continue;
+        }
+        if (!SANITIZE_TAGS.has(tag)) continue;
+        if (closing) {
+            if (!SANITIZE_VOID_TAGS.has(tag)) out += `</${tag}>`;
+            continue;
+        }
+        const attrs = sanitizeAttributes(tag, m[3], userContent);
+        if (attrs !== null) out += `<${tag}${attrs}>`;
+    }
+    return out;
+}
+
+// --- Rendering ---
+// The diff as HTML strings. index.html uses these pieces while it decorates the
+// live document; renderDiffHtml() puts a whole document together for static
+// reports (scripts/ccplanview-diff.mjs). The caller hands in marked, configured
+// the way it renders markdown, optionally hljs for code, and optionally onError,
+// told (phase, error) about failures the renderer recovers from on its own.
+let markedLib = null;
+let hljsLib = null;
+let onRenderError = () => {};
+
+export function configureRenderer({ marked, hljs = null, onError = () => {} }) {
+    markedLib = marked;
+    hljsLib = hljs;
+    onRenderError = onError;
+}
+
+// One top-level token on its own, sanitized. marked writes task checkboxes into
+// loose items' tokens while rendering, so it gets a copy: rendering twice must
+// not add a second checkbox.
+export function renderBlockHtml(token) {
+    return sanitizeHtml(markedLib.parser([structuredClone(token)]));
+}
+
+// Inline markdown (a table cell, a list item's text), sanitized
+export function renderInlineHtml(text) {
+    return sanitizeHtml(markedLib.parseInline(text));
+}
+
+// Render word-diff ops from diffInline() as one inline run with <del>/<ins> spans.
+// Consecutive atoms sharing a wrapper chain are re-wrapped together, so
+// **bold edits** stay a single <strong> around the changed words.
+// side 'old' / 'new' renders just that version (split view columns).
+export function renderInlineDiff(inlineDiff, side = null) {
+    const wrapTag = { strong: 'strong', em: 'em', del: 'del' };
+    const renderAtoms = atoms => {
+        let html = '';
+        for (let i = 0; i < atoms.length;) {
+            const wrap = atoms[i].wrap;
+            let inner = '';
+            for (; i < atoms.length && atoms[i].wrap === wrap; i++) {
+                const atom = atoms[i];
+                inner += atom.token ? sanitizeHtml(markedLib.Parser.parseInline([atom.token])) : escapeHtml(atom.text);
+            }
+            const open = wrap.map(w => `<${wrapTag[w]}>`).join('');
+            const close = [...wrap].reverse().map(w => `</${wrapTag[w]}>`).join('');
+            html += open + inner + close;
+        }
+        return html;
+    };
+    const skip = side === 'old' ? 'added' : side === 'new' ? 'deleted' : null;
+    const ops = inlineDiff.ops.filter(({ op }) => op !== skip);
+    let html = '';
+    for (let i = 0; i < ops.length;) {
+        const op = ops[i].op;
+        const atoms = [];
+        for (; i < ops.length && ops[i].op === op; i++) atoms.push(ops[i].atom);
+        const inner = renderAtoms(atoms);
+        if (op === 'added') html += `<ins class="diff-ins">${inner}</ins>`;
+        else if (op === 'deleted') html += `<del class="diff-del">${inner}</del>`;
+        else html += inner;
+    }
+    return html;
+}
+
+// Highlight one line of code on its own, so multi-line hljs spans can't break
+// the per-line layout. Plain escaped text without hljs or for unknown languages.
+// ranges: [start, end) character ranges an edit changed (diffCodeLines()), marked
+// as <del> on the old side and <ins> on the new one.
+export function highlightLine(line, lang, ranges = null, side = 'new') {
+    let html;
+    if (!hljsLib || (lang && !hljsLib.getLanguage(lang))) {
+        html = escapeHtml(line);
+    } else {
+        try {
+            html = lang ? hljsLib.highlight(line, { language: lang }).value : hljsLib.highlightAuto(line).value;
+        } catch (err) {
+            onRenderError('highlight', err);
+            html = escapeHtml(line);
+        }
+    }
+    return ranges?.length ? markRanges(html, ranges, side === 'old' ? 'del' : 'ins') : html;
+}
+
+// Wrap character ranges of highlighted HTML in <ins>/<del class="diff-…">. The
+// wrapper only ever holds text: it closes before any hljs tag and opens again
+// after it, so the nesting stays valid. An entity counts as one character.
+function markRanges(html, ranges, tag) {
+    let out = '';
+    let offset = 0, r = 0, inside = false;
+    for (const [part] of html.matchAll(/<[^>]*>|&[^;]+;|[^<&]/g)) {
+        if (part[0] === '<') {
+            if (inside) out += `</${tag}>`;
+            inside = false;
+            out += part;
+            continue;
+        }
+        while (r < ranges.length && offset >= ranges[r][1]) r++;
+        const marked = r < ranges.length && offset >= ranges[r][0];
+        if (marked !== inside) out += marked ? `<${tag} class="diff-${tag}">` : `</${tag}>`;
+        inside = marked;
+        out += part;
+        offset++;
+    }
+    return inside ? out + `</${tag}>` : out;
+}
+
+// A code block's lines with a diffCodeLines() result drawn in: changed lines green,
+// deleted lines red where they used to be, both highlighted, with the edited part
+// of an edited line marked
+export function renderCodeDiff(text, lang, codeDiff) {
+    const deletedByIdx = new Map();
+    for (const deletion of codeDiff.deleted) {
+        if (!deletedByIdx.has(deletion.beforeIdx)) deletedByIdx.set(deletion.beforeIdx, []);
+        deletedByIdx.get(deletion.beforeIdx).push(deletion);
+    }
+    const deletedLines = deletions => deletions.map(({ line, ranges }) =>
+        `<span class="code-line-deleted">${highlightLine(line, lang, ranges, 'old')}</span>`);
+
+    const html = [];
+    const textLines = text.split('\n');
+    for (let li = 0; li < textLines.length; li++) {
+        if (deletedByIdx.has(li)) {
+            html.push(...deletedLines(deletedByIdx.get(li)));
+            deletedByIdx.delete(li);
+        }
+        const cls = codeDiff.changed.has(li) ? 'code-line-changed' : 'code-line';
+        html.push(`<span class="${cls}">${highlightLine(textLines[li], lang, codeDiff.changed.get(li)?.ranges)}</span>`);
+    }
+    for (const [, deletions] of deletedByIdx) html.push(...deletedLines(deletions));
+    return html.join('');
+}
+
+// A list item's content, sub-list included, for a red or split-view <li>
+export function renderListItemHtml(item) {
+    const nested = item.tokens.find(t => t.type === 'list');
+    return renderListItemContent(item) + (nested ? renderBlockHtml(nested) : '');
+}
+
+// Cells of a deleted table row, laid out like the decorated table (tableDiff.columns)
+export function renderDeletedRowCells(cells, columns) {
+    return columns
+        .map(c => `<td>${c.oldCol === null ? '' : renderInlineHtml(cells[c.oldCol]?.text ?? '')}</td>`)
+        .join('');
+}
+
+// A list item's own content (checkbox and text, without its sub-list), as marked
+// renders it inside the <li>
+export function renderListItemContent(item) {
+    const own = { ...item, tokens: item.tokens.filter(t => t.type !== 'list') };
+    const html = renderBlockHtml({ type: 'list', raw: item.raw, ordered: false, start: '', loose: item.loose, items: [own] });
+    return html.match(/<li>([\s\S]*)<\/li>\s*<\/ul>\s*$/)?.[1] ?? '';
+}
+
+// Add classes (and an id) to the first element of rendered HTML. Text without a
+// leading element is wrapped in a <div>.
+function withAttributes(html, classes, id = null) {
+    const idAttr = id ? ` id="${id}"` : '';
+    if (classes.length === 0 && !idAttr) return html;
+    const classAttr = classes.length ? ` class="${classes.join(' ')}"` : '';
+    const m = html.match(/^<([a-z][a-z0-9]*)([^>]*)>/i);
+    if (!m) return `<div${classAttr}${idAttr}>${html}</div>\n`;
+    let attrs = m[2];
+    const existing = attrs.match(/ class="([^"]*)"/);
+    if (existing) attrs = attrs.replace(existing[0], ` class="${existing[1]} ${classes.join(' ')}"`);
+    else attrs += classAttr;
+    return `<${m[1]}${attrs}${idAttr}>` + html.slice(m[0].length);
+}
+
+// Insert HTML at the end of a list item's own content: inside its paragraph when
+// the item is loose
+function appendToItemContent(content, html) {
+    const m = content.match(/<\/p>\s*$/);
+    return m ? content.slice(0, m.index) + html + content.slice(m.index) : content + html;
+}
+
+function checkboxHtml(item) {
+    return item.task ? `<input${item.checked ? ' checked=""' : ''} type="checkbox" disabled=""> ` : '';
+}
+
+// A moved entry and the placeholder at its old position, linked both ways by
+// anchor. movedDown: the old position comes first in the document.
+function moveLinks(moves, movedDown) {
+    const id = moves.next++;
+    return {
+        id: `moved-${id}`,
+        originId: `moved-from-${id}`,
+        toNew: `<a class="moved-link" href="#moved-${id}">${movedDown ? 'Moved down ↓' : 'Moved up ↑'}</a>`,
+        toOrigin: `<a class="moved-link" href="#moved-from-${id}">${movedDown ? '↑ Moved from above' : '↓ Moved from below'}</a>`,
+    };
+}
+
+// A whole document with its diff drawn in, using the classes index.html styles
+// (diff.css). Moves link to their old position with plain anchors, so the page
+// needs no script.
+export function renderDiffHtml(oldTokens, newTokens, diffResult = diffTokens(oldTokens, newTokens)) {
+    return numberFootnoteRefs(renderBlocksDiffHtml(newTokens.filter(t => t.type !== 'space'), diffResult, { next: 1 }));
+}
+
+// Every footnote reference renders as fnref-<label>, as blocks render on their own.
+// In document order, a footnote cited again gets fnref-<label>-1, -2, ... (like
+// repeated heading slugs), so the ids stay unique and the back-link reaches the first.
+function numberFootnoteRefs(html) {
+    const used = new Set();
+    return html.replace(/(<sup class="footnote-ref"><a href="#fn-[^"]*" id=")(fnref-[^"]*)"/g, (_, head, base) => {
+        let id = base;
+        for (let k = 1; used.has(id); k++) id = `${base}-${k}`;
+        used.add(id);
+        return `${head}${id}"`;
+    });
+}
+
+// Blocks of one container, with red blocks and move placeholders before the
+// block they were found before (like decorateBlocks() in index.html)
+function renderBlocksDiffHtml(blocks, diffResult, moves) {
+    const before = new Map();
+    const insertBefore = (idx, html) => before.set(idx, (before.get(idx) || '') + html);
+    for (const { beforeNewIdx, token } of diffResult.deletions) {
+        insertBefore(beforeNewIdx, `<div class="deleted-block">${renderBlockHtml(token)}</div>\n`);
+    }
+    const rendered = blocks.map((token, k) => {
+        const detail = diffResult.changes.get(k);
+        if (!detail) return renderBlockHtml(token);
+        if (detail.type === 'moved') {
+            const links = moveLinks(moves, detail.beforeNewIdx <= k);
+            insertBefore(detail.beforeNewIdx, `<div class="moved-from" id="${links.originId}">${links.toNew}</div>\n`);
+            const inner = detail.inner ? renderBlockDiff(token, detail.inner, moves) : { prefix: '', html: renderBlockHtml(token), classes: [] };
+            const classes = inner.classes.filter(c => c !== 'changed-block');
+            return `<div class="moved-note">${links.toOrigin}</div>\n` + inner.prefix +
+                withAttributes(inner.html, [...classes, 'moved-block'], links.id);
+        }
+        const { prefix, html, classes } = renderBlockDiff(token, detail, moves);
+        return prefix + withAttributes(html, classes);
+    });
+    return rendered.map((html, k) => (before.get(k) || '') + html).join('') + (before.get(blocks.length) || '');
+}
+
+// One changed block: { prefix (HTML before it), html, classes (for its element) }
+function renderBlockDiff(token, detail, moves) {
+    if (detail.type === 'added') {
+        return { prefix: '', html: renderBlockHtml(token), classes: ['changed-block'] };
+    }
+    if (detail.type === 'modified') {
+        if (detail.inlineDiff && (token.type === 'paragraph' || token.type === 'heading')) {
+            const tag = token.type === 'heading' ? `h${token.depth}` : 'p';
+            return { prefix: '', html: `<${tag}>${renderInlineDiff(detail.inlineDiff)}</${tag}>\n`, classes: ['changed-block'] };
+        }
+        return {
+            prefix: `<div class="deleted-block">${renderBlockHtml(detail.oldToken)}</div>\n`,
+            html: renderBlockHtml(token),
+            classes: ['changed-block'],
+        };
+    }
+    if (detail.type === 'list') return { prefix: '', html: renderListDiffHtml(token, detail.listDiff, moves), classes: [] };
+    if (detail.type === 'table') return { prefix: '', html: renderTableDiffHtml(token, detail.tableDiff, moves), classes: [] };
+    if (detail.type === 'code') {
+        const lang = (token.lang || '').match(/^\S*/)[0];
+        const langAttr = lang ? ` class="language-${escapeHtml(lang)}"` : '';
+        return { prefix: '', html: `<pre><code${langAttr}>${renderCodeDiff(token.text, lang, detail.codeDiff)}</code></pre>\n`, classes: [] };
+    }
+    if (detail.type === 'blockquote') {
+        // The container rendered empty, with the diffed blocks put in before it closes
+        const inner = token.tokens.filter(t => t.type !== 'space');
+        const shell = renderBlockHtml({ ...token, tokens: [] });
+        const close = shell.match(/<\/[a-z]+>\s*$/).index;
+        return { prefix: '', html: shell.slice(0, close) + renderBlocksDiffHtml(inner, detail.bqDiff, moves) + shell.slice(close), classes: [] };
+    }
+    return { prefix: '', html: renderBlockHtml(token), classes: [] };
+}
+
+function renderListDiffHtml(token, listDiff, moves) {
+    const tag = token.ordered ? 'ol' : 'ul';
+    const start = token.ordered && token.start !== 1 && token.start !== '' ? ` start="${token.start}"` : '';
+    const before = new Map();
+    const insertBefore = (idx, html) => before.set(idx, (before.get(idx) || '') + html);
+    const nestedOf = item => item.tokens.find(t => t.type === 'list');
+    const nestedHtml = (item, nestedDiff) => {
+        const nested = nestedOf(item);
+        if (!nested) return '';
+        return nestedDiff ? renderListDiffHtml(nested, nestedDiff, moves) : renderBlockHtml(nested);
+    };
+    const ownDiffHtml = (item, inlineDiff) => {
+        const html = checkboxHtml(item) + renderInlineDiff(inlineDiff);
+        return item.loose ? `<p>${html}</p>\n` : html;
+    };
+    const taskTag = checked => `<span class="task-change">${checked ? 'completed' : 'reopened'}</span>`;
+    const taskClass = checked => (checked ? 'task-completed' : 'task-reopened');
+
+    for (const { beforeIdx, item } of listDiff.deleted) {
+        insertBefore(beforeIdx, `<li class="deleted-block">${renderListItemHtml(item)}</li>\n`);
+    }
+    const items = token.items.map((item, i) => {
+        const li = (classes, content, nested, id = null) => withAttributes(`<li>${content}${nested}</li>\n`, classes, id);
+        if (!listDiff.changed.has(i)) return li([], renderListItemContent(item), nestedHtml(item, null));
+        const change = listDiff.changed.get(i);
+        if (change === null) return li(['changed-block'], renderListItemContent(item), nestedHtml(item, null));
+        if (change.type === 'modified') return li(['changed-block'], ownDiffHtml(item, change.inlineDiff), nestedHtml(item, null));
+        if (change.type === 'nestedList') return li([], renderListItemContent(item), nestedHtml(item, change.nestedDiff));
+        if (change.type === 'task') {
+            return li([taskClass(change.checked)], appendToItemContent(renderListItemContent(item), taskTag(change.checked)),
+                nestedHtml(item, change.nestedDiff));
+        }
+        // Moved, and maybe edited on the way
+        const links = moveLinks(moves, change.beforeIdx <= i);
+        insertBefore(change.beforeIdx, `<li class="moved-from" id="${links.originId}">${links.toNew}</li>\n`);
+        const inner = change.inner;
+        const classes = ['moved-block'];
+        let content = inner?.type === 'modified' && inner.inlineDiff
+            ? ownDiffHtml(item, inner.inlineDiff)
+            : renderListItemContent(item);
+        if (inner?.type === 'task') {
+            classes.push(taskClass(inner.checked));
+            content = appendToItemContent(content, taskTag(inner.checked));
+        }
+        return li(classes, appendToItemContent(content, links.toOrigin), nestedHtml(item, inner?.nestedDiff), links.id);
+    });
+    const body = items.map((html, i) => (before.get(i) || '') + html).join('') + (before.get(items.length) || '');
+    return `<${tag}${start}>\n${body}</${tag}>\n`;
+}
+
+function renderTableDiffHtml(token, td, moves) {
+    const cellHtml = cell => sanitizeHtml(markedLib.Parser.parseInline(cell.tokens));
+    const cell = (tag, html, align, classes = [], title = null) => {
+        const attrs = (align ? ` align="${align}"` : '') +
+            (classes.length ? ` class="${classes.join(' ')}"` : '') +
+            (title !== null ? ` title="${escapeHtml(title)}"` : '');
+        return `<${tag}${attrs}>${html}</${tag}>\n`;
+    };
+    // An edited cell: its word diff, else the old value struck through ahead of
+    // the new one; the old value is the tooltip (like markChangedCell())
+    const changedCell = (tag, current, change, align) => {
+        const oldText = change.oldCell?.text ?? '';
+        const html = change.inlineDiff
+            ? renderInlineDiff(change.inlineDiff)
+            : (oldText ? `<del class="diff-del">${renderInlineHtml(oldText)}</del> ` : '') + cellHtml(current);
+        return cell(tag, html, align, ['cell-changed'], `Was: ${oldText || '(empty)'}`);
+    };
+
+    const headCells = td.columns.map(column => {
+        if (column.newCol === null) {
+            return cell('th', column.header ? renderInlineHtml(column.header.text) : '', null, ['cell-deleted']);
+        }
+        const header = token.header[column.newCol];
+        const align = token.align[column.newCol];
+        if (column.oldCol === null) return cell('th', cellHtml(header), align, ['cell-added']);
+        if (td.header.has(column.newCol)) return changedCell('th', header, td.header.get(column.newCol), align);
+        return cell('th', cellHtml(header), align);
+    });
+
+    const before = new Map();
+    const insertBefore = (idx, html) => before.set(idx, (before.get(idx) || '') + html);
+    for (const { beforeIdx, cells } of td.deleted) {
+        insertBefore(beforeIdx, `<tr class="deleted-block">\n${renderDeletedRowCells(cells, td.columns)}</tr>\n`);
+    }
+    const rows = token.rows.map((row, k) => {
+        const rowInfo = td.changed.has(k) ? td.changed.get(k) : undefined;
+        const cells = td.columns.map(column => {
+            if (column.newCol === null) {
+                const old = column.cells[k];
+                return cell('td', old ? renderInlineHtml(old.text) : '', null, ['cell-deleted']);
+            }
+            const current = row[column.newCol];
+            const align = token.align[column.newCol];
+            const change = rowInfo?.cells.get(column.newCol);
+            if (change) return changedCell('td', current, change, align);
+            return cell('td', cellHtml(current), align, column.oldCol === null ? ['cell-added'] : []);
+        });
+        if (rowInfo === undefined) return `<tr>\n${cells.join('')}</tr>\n`;
+        if (rowInfo === null) return `<tr class="changed-block">\n${cells.join('')}</tr>\n`;
+        if (rowInfo.type === 'modified') return `<tr>\n${cells.join('')}</tr>\n`;
+        const links = moveLinks(moves, rowInfo.beforeIdx <= k);
+        insertBefore(rowInfo.beforeIdx,
+            `<tr class="moved-from" id="${links.originId}"><td colspan="${td.columns.length}">${links.toNew}</td></tr>\n`);
+        cells[cells.length - 1] = cells[cells.length - 1].replace(/(<\/t[dh]>\n)$/, `${links.toOrigin}$1`);
+        return `<tr class="moved-block" id="${links.id}">\n${cells.join('')}</tr>\n`;
+    });
+    const body = rows.map((html, k) => (before.get(k) || '') + html).join('') + (before.get(rows.length) || '');
+    const classAttr = token.frontMatter ? ' class="front-matter"' : '';
+    return `<table${classAttr}>\n<thead>\n<tr>\n${headCells.join('')}</tr>\n</thead>\n<tbody>${body}</tbody></table>\n`;
+}
+
+// --- Change report ---
+
+// Source line (1-based) of each non-space token, counted from the raw text
+function tokenLines(tokens, firstLine) {
+    const lines = [];
+    let line = firstLine;
+    for (const token of tokens) {
+        if (token.type !== 'space') lines.push(line);
+        line += (token.raw.match(/\n/g) || []).length;
+    }
+    return lines;
+}
+
+function summaryText(raw) {
+    return raw.trim().replace(/\s+/g, ' ');
+}
+
+// A list item's own text, with its checkbox as [ ] / [x]
+function itemText(item) {
+    const own = summaryText(item.tokens.filter(t => t.type !== 'list').map(t => t.raw).join(''));
+    return item.task ? `[${item.checked ? 'x' : ' '}] ${own}` : own;
+}
+
+// The diff as a flat change list for code review and CI logs. Each entry is
+// { kind: 'added'|'changed'|'deleted'|'moved'|'task', block, line?, oldLine?, text?, oldText? }:
+// block names what changed ('paragraph', 'list item', 'table row', 'code line', ...),
+// line / oldLine are 1-based lines in the new / old source.
+export function describeChanges(oldTokens, newTokens, diffResult = diffTokens(oldTokens, newTokens)) {
+    const entries = [];
+    describeBlocks(oldTokens, newTokens, diffResult, 1, 1, entries);
+    return { summary: countChanges(diffResult), changes: entries };
+}
+
+function describeBlocks(oldTokens, newTokens, diffResult, oldFirst, newFirst, entries) {
+    const oldBlocks = oldTokens.filter(t => t.type !== 'space');
+    const newBlocks = newTokens.filter(t => t.type !== 'space');
+    const oldLines = tokenLines(oldTokens, oldFirst);
+    const newLines = tokenLines(newTokens, newFirst);
+    const found = [];
+    for (const { oldIdx, token } of diffResult.deletions) {
+        found.push({ at: oldLines[oldIdx], entry: { kind: 'deleted', block: token.type, oldLine: oldLines[oldIdx], text: summaryText(token.raw) } });
+    }
+    for (const [k, detail] of diffResult.changes) {
+        const token = newBlocks[k];
+        const line = newLines[k];
+        const nested = [];
+        let info = detail;
+        if (detail.type === 'moved') {
+            found.push({ at: line, entry: { kind: 'moved', block: token.type, line, oldLine: oldLines[detail.oldIdx], text: summaryText(token.raw) } });
+            info = detail.inner;
+            if (!info) continue;
+        }
+        const oldIdx = detail.type === 'moved' ? detail.oldIdx : diffResult.paired.get(k);
+        const oldToken = oldBlocks[oldIdx];
+        const oldLine = oldLines[oldIdx];
+        if (info.type === 'added') {
+            found.push({ at: line, entry: { kind: 'added', block: token.type, line, text: summaryText(token.raw) } });
+        } else if (info.type === 'modified') {
+            found.push({ at: line, entry: { kind: 'changed', block: token.type, line, oldLine, text: summaryText(token.raw), oldText: summaryText(info.oldToken.raw) } });
+        } else if (info.type === 'list') {
+            describeList(oldToken, token, info.listDiff, oldLine, line, nested);
+        } else if (info.type === 'table') {
+            describeTable(oldToken, token, info.tableDiff, oldLine, line, nested);
+        } else if (info.type === 'code') {
+            describeCode(oldToken, token, info.codeDiff, oldLine, line, nested);
+        } else if (info.type === 'blockquote') {
+            describeBlocks(oldToken.tokens, token.tokens, info.bqDiff, oldLine, line, nested);
+        }
+        for (const entry of nested) found.push({ at: entry.line ?? entry.oldLine, entry });
+    }
+    found.sort((a, b) => a.at - b.at);
+    entries.push(...found.map(f => f.entry));
+}
+
+function describeList(oldToken, newToken, listDiff, oldFirst, newFirst, entries) {
+    const oldLines = tokenLines(oldToken.items, oldFirst);
+    const newLines = tokenLines(newToken.items, newFirst);
+    const nestedOf = item => item.tokens.find(t => t.type === 'list');
+    // A nested list starts on its item's line plus the lines of what precedes it
+    const nestedLine = (item, itemLine) => itemLine + tokenLines(item.tokens, 0)[item.tokens.filter(t => t.type !== 'space').indexOf(nestedOf(item))];
+    for (const { oldIdx, item } of listDiff.deleted) {
+        entries.push({ kind: 'deleted', block: 'list item', oldLine: oldLines[oldIdx], text: itemText(item) });
+    }
+    for (const [i, change] of listDiff.changed) {
+        const item = newToken.items[i];
+        const line = newLines[i];
+        if (change === null) {
+            entries.push({ kind: 'added', block: 'list item', line, text: itemText(item) });
+            continue;
+        }
+        const oldItem = oldToken.items[change.oldIdx];
+        const oldLine = oldLines[change.oldIdx];
+        let info = change;
+        if (change.type === 'moved') {
+            entries.push({ kind: 'moved', block: 'list item', line, oldLine, text: itemText(item) });
+            info = change.inner;
+            if (!info) continue;
+        }
+        if (info.type === 'modified') {
+            entries.push({ kind: 'changed', block: 'list item', line, oldLine, text: itemText(item), oldText: itemText(oldItem) });
+        } else if (info.type === 'task') {
+            entries.push({ kind: 'task', block: 'list item', line, oldLine, text: itemText(item), checked: info.checked });
+        }
+        if (info.nestedDiff) {
+            describeList(nestedOf(oldItem), nestedOf(item), info.nestedDiff,
+                nestedLine(oldItem, oldLine), nestedLine(item, line), entries);
+        }
+    }
+}
+
+function describeTable(oldToken, newToken, td, oldFirst, newFirst, entries) {
+    // Header on the first line, delimiter row on the second, body rows after
+    const rowText = cells => cells.map(c => c.text.trim()).join(' | ');
+    td.columns.forEach(column => {
+        if (column.newCol === null) {
+            entries.push({ kind: 'deleted', block: 'table column', oldLine: oldFirst, text: column.header.text.trim() });
+        } else if (column.oldCol === null) {
+            entries.push({ kind: 'added', block: 'table column', line: newFirst, text: newToken.header[column.newCol].text.trim() });
+        } else if (td.header.has(column.newCol)) {
+            entries.push({ kind: 'changed', block: 'table header', line: newFirst, oldLine: oldFirst,
+                text: newToken.header[column.newCol].text.trim(), oldText: td.header.get(column.newCol).oldCell.text.trim() });
+        }
+    });
+    for (const { oldIdx, cells } of td.deleted) {
+        entries.push({ kind: 'deleted', block: 'table row', oldLine: oldFirst + 2 + oldIdx, text: rowText(cells) });
+    }
+    for (const [k, rowInfo] of td.changed) {
+        const line = newFirst + 2 + k;
+        const text = rowText(newToken.rows[k]);
+        if (rowInfo === null) {
+            entries.push({ kind: 'added', block: 'table row', line, text });
+            continue;
+        }
+        const oldLine = oldFirst + 2 + rowInfo.oldIdx;
+        const oldText = rowText(oldToken.rows[rowInfo.oldIdx]);
+        if (rowInfo.type === 'moved') entries.push({ kind: 'moved', block: 'table row', line, oldLine, text });
+        if (rowInfo.cells.size > 0) entries.push({ kind: 'changed', block: 'table row', line, oldLine, text, oldText });
+    }
+}
+
+function describeCode(oldToken, newToken, codeDiff, oldFirst, newFirst, entries) {
+    // Fenced code starts a line below its fence
+    const firstLine = (token, line) => (/^ {0,3}(```|~~~)/.test(token.raw) ? line + 1 : line);
+    const newStart = firstLine(newToken, newFirst);
+    const oldStart = firstLine(oldToken, oldFirst);
+    const newLines = newToken.text.split('\n');
+    if (codeDiff.langChanged) {
+        entries.push({ kind: 'changed', block: 'code block', line: newFirst, oldLine: oldFirst,
+            text: newToken.lang || '', oldText: oldToken.lang || '' });
+    }
+    const oldLines = oldToken.text.split('\n');
+    for (const { oldIdx, line, ranges } of codeDiff.deleted) {
+        // An edited line is listed once, as changed
+        if (ranges) continue;
+        entries.push({ kind: 'deleted', block: 'code line', oldLine: oldStart + oldIdx, text: line });
+    }
+    for (const [idx, edit] of [...codeDiff.changed].sort(([a], [b]) => a - b)) {
+        if (edit) {
+            entries.push({ kind: 'changed', block: 'code line', line: newStart + idx, oldLine: oldStart + edit.oldIdx,
+                text: newLines[idx], oldText: oldLines[edit.oldIdx] });
+        } else {
+            entries.push({ kind: 'added', block: 'code line', line: newStart + idx, text: newLines[idx] });
+        }
+    }
+}
+
+// --- Review annotations ---
+
+// An annotation is anchored by a path from the document root to what was clicked:
+// { block } steps pick a non-space block (again inside a container), { item } steps
+// a list item (again for its nested list), { row } a table body row and { line } a
+// code line, e.g. [{ block: 3 }, { item: 1 }, { item: 0 }].
+const stepKey = step => Object.keys(step)[0];
+
+// A list token, or a list item's nested list
+function listOf(node) {
+    if (node?.type === 'list_item') return node.tokens?.find(t => t.type === 'list') ?? null;
+    return node?.type === 'list' ? node : null;
+}
+
+// The next node along a path: a block, list item, table row (cell array) or code
+// line (string), or undefined when the path does not fit the document
+function childAt(node, step) {
+    const key = stepKey(step), idx = step[key];
+    if (key === 'block') {
+        const blocks = Array.isArray(node) ? node : node ? innerBlocks(node) : null;
+        return blocks?.filter(t => t.type !== 'space')[idx];
+    }
+    if (key === 'item') return listOf(node)?.items[idx];
+    if (key === 'row') return node?.type === 'table' ? node.rows[idx] : undefined;
+    if (key === 'line') return node?.type === 'code' ? node.text.split('\n')[idx] : undefined;
+    return undefined;
+}
+
+// The anchored element as markdown source, for quoting in review feedback, or null
+export function anchorQuote(tokens, path) {
+    let node = tokens, parent = null;
+    for (const step of path) {
+        parent = node;
+        node = childAt(node, step);
+        if (node === undefined) return null;
+    }
+    const key = stepKey(path[path.length - 1]);
+    if (key === 'item') {
+        const list = listOf(parent);
+        const idx = path[path.length - 1].item;
+        return `${list.ordered ? `${(list.start || 1) + idx}.` : '-'} ${itemText(node)}`;
+    }
+    if (key === 'row') return `| ${node.map(cell => cell.text).join(' | ')} |`;
+    if (key === 'line') return '```' + (parent.lang || '') + '\n' + node + '\n```';
+    return node.raw.trim();
+}
+
+// Follow a path from one revision of a document to the next along the pairing
+// diffTokens() found, diffing lists, tables and code below it as needed. Returns
+// the path in newTokens, or null when the anchored element was deleted.
+export function reanchorPath(path, oldTokens, newTokens, diffResult = null) {
+    const result = [];
+    let oldNode = oldTokens, newNode = newTokens;
+    for (const [depth, step] of path.entries()) {
+        // Identical subtree: the rest of the path still fits
+        if (depth > 0 && oldNode.raw === newNode.raw) return result.concat(path.slice(depth));
+        const key = stepKey(step);
+        let paired = null;
+        if (key === 'block' && depth === 0) {
+            paired = (diffResult ?? diffTokens(oldNode, newNode)).paired;
+        } else if (key === 'block' && innerBlocks(oldNode) && innerBlocks(newNode)) {
+            paired = diffTokens(oldNode.tokens, newNode.tokens).paired;
+        } else if (key === 'item' && listOf(oldNode) && listOf(newNode)) {
+            paired = diffListItems(listOf(oldNode).items, listOf(newNode).items).paired;
+        } else if (key === 'row' && oldNode.type === 'table' && newNode.type === 'table') {
+            paired = diffTableRows(oldNode, newNode).paired;
+        } else if (key === 'line' && oldNode.type === 'code' && newNode.type === 'code') {
+            paired = diffCodeLines(oldNode, newNode).paired;
+        }
+        const newIdx = paired ? [...paired].find(([, oi]) => oi === step[key])?.[0] : undefined;
+        if (newIdx === undefined) return null;
+        result.push({ [key]: newIdx });
+        oldNode = childAt(oldNode, step);
+        newNode = childAt(newNode, { [key]: newIdx });
+        if (oldNode === undefined || newNode === undefined) return null;
+    }
+    return result;
+}
+
+// Document order of two paths; a path sorts before the paths below it
+function comparePaths(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const diff = a[i][stepKey(a[i])] - b[i][stepKey(b[i])];
+        if (diff !== 0) return diff;
+    }
+    return a.length - b.length;
+}
+
+// Review feedback as markdown, ready to paste into a prompt: each annotated
+// element quoted, followed by its comment, in document order. annotations =
+// [{ path|null, quote, comment }]; a null path marks an element that has since
+// been deleted, which is listed last with its quote from when it was annotated.
+export function annotationsMarkdown(fileName, annotations) {
+    const ordered = annotations
+        .filter(a => a.comment.trim())
+        .sort((a, b) => (a.path && b.path ? comparePaths(a.path, b.path) : !a.path - !b.path));
+    if (ordered.length === 0) return '';
+    const sections = ordered.map(({ path, quote, comment }) => {
+        const quoted = quote.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+        const gone = path ? '' : '\n\n_(no longer in the plan)_';
+        return `${quoted}${gone}\n\n${comment.trim()}`;
+    });
+    return `Review feedback on ${fileName}:\n\n${sections.join('\n\n---\n\n')}\n`;
+}
+
+// --- File references ---
+
+// A source path as plans write it: optionally ./, ../, ~/ or / in front, a file name
+// with an extension, then maybe a line (`:42`, `:42:7`, `:42-50`, `#L42`)
+const FILE_REFERENCE = String.raw`((?:~\/|\.{1,2}\/|\/)?(?:[\w@+-][\w.@+-]*\/)*[\w@+-][\w.@+-]*\.[A-Za-z]\w*)` +
+    String.raw`(?::(\d+)(?::(\d+)|-\d+)?|#L(\d+)(?:-L?\d+)?)?`;
+const FILE_REFERENCE_WHOLE = new RegExp(`^${FILE_REFERENCE}$`);
+// In prose: between spaces, brackets or quotes, before punctuation
+const FILE_REFERENCE_IN_TEXT = new RegExp(
+    String.raw`(?<=^|[\s(\[{'"])` + FILE_REFERENCE + String.raw`(?=$|[\s)\]}'",;:!?]|\.(?:\s|$))`, 'g');
+
+// File paths in a piece of text: [{ start, end, path, line|null, column|null }].
+// In prose only paths with a directory count, so "Node.js" stays text; a code span
+// (whole = true) may hold a bare file name, but nothing besides the path.
+export function findFileReferences(text, whole = false) {
+    const reference = (match, start) => ({
+        start,
+        end: start + match[0].length,
+        path: match[1],
+        line: match[2] || match[4] ? Number(match[2] || match[4]) : null,
+        column: match[3] ? Number(match[3]) : null,
+    });
+    if (whole) {
+        const trimmed = text.trim();
+        const match = FILE_REFERENCE_WHOLE.exec(trimmed);
+        return match ? [reference(match, text.indexOf(trimmed))] : [];
+    }
+    return [...text.matchAll(FILE_REFERENCE_IN_TEXT)]
+        .filter(match => match[1].includes('/'))
+        .map(match => reference(match, match.index));
+}
+
+// Absolute paths a reference may point at, most likely first: as is when absolute
+// (or under ~), else under each of dirs (project root, then the plan's folder)
+export function fileReferenceCandidates(path, dirs) {
+    if (path.startsWith('/') || path.startsWith('~/')) return [path];
+    const normalize = absolute => absolute.split('/').reduce((parts, part) => {
+        if (part === '..') {
+            if (parts.length > 1) parts.pop();
+        } else if (part !== '.') {
+            parts.push(part);
+        }
+        return parts;
+    }, []).join('/');
+    return [...new Set(dirs.filter(Boolean).map(dir => normalize(`${dir.replace(/\/+$/, '')}/${path}`)))];
+}
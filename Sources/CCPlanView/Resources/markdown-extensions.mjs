@@ -0,0 +1,166 @@
+/**
+ * marked extensions for the markdown GitHub renders beyond GFM: alert callouts
+ * (`> [!NOTE]`), footnotes (`[^1]`) and YAML front matter. index.html,
+ * scripts/ccplanview-diff.mjs and scripts/test-diff.mjs all pass
+ * markdownExtensions to marked.use(), so plans lex the same everywhere.
+ *
+ * The tokens are built for diffTokens(): alerts and footnotes hold their blocks
+ * in `tokens` like a blockquote (see innerBlocks() in diff-engine.mjs), and front
+ * matter lexes to a two-column table token, one row per field, so an edited
+ * field shows up as a changed row. Markup carries the classes styled by
+ * markdown-extensions.css; sanitizeHtml() keeps them. Raw HTML is sanitized as
+ * user content, so the ids it brings can't clash with the generated ones.
+ */
+
+import { escapeHtml, sanitizeHtml } from './diff-engine.mjs';
+
+const ALERT_TITLES = {
+    note: 'Note',
+    tip: 'Tip',
+    important: 'Important',
+    warning: 'Warning',
+    caution: 'Caution',
+};
+// The marker line of an alert: the first line of a blockquote, on its own
+const ALERT_MARKER = /^ {0,3}> ?\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*(?:\n|$)/i;
+
+// GitHub alert: a blockquote whose first line is [!NOTE], [!TIP], [!IMPORTANT],
+// [!WARNING] or [!CAUTION]. token = { type: 'alert', kind, tokens }
+const alert = {
+    name: 'alert',
+    level: 'block',
+    tokenizer(src) {
+        const marker = ALERT_MARKER.exec(src);
+        if (!marker) return undefined;
+        const rest = src.slice(marker[0].length);
+        const body = /^ {0,3}>/.test(rest) ? this.lexer.tokenizer.blockquote(rest) : null;
+        return {
+            type: 'alert',
+            raw: marker[0] + (body?.raw ?? ''),
+            kind: marker[1].toLowerCase(),
+            tokens: body?.tokens ?? [],
+        };
+    },
+    renderer(token) {
+        return `<div class="markdown-alert markdown-alert-${token.kind}">\n` +
+            `<p class="markdown-alert-title">${ALERT_TITLES[token.kind]}</p>\n` +
+            `${this.parser.parse(token.tokens)}</div>\n`;
+    },
+};
+
+// Footnote definition: `[^label]: text` and the lines indented under it.
+// token = { type: 'footnote', label, tokens }. A definition renders where it is
+// written (plans keep them at the end), labelled and linked back to its reference.
+const footnote = {
+    name: 'footnote',
+    level: 'block',
+    start(src) {
+        return src.match(/^\[\^[^\]\s]+\]:/m)?.index;
+    },
+    tokenizer(src) {
+        const first = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*)(?:\n|$)/.exec(src);
+        if (!first) return undefined;
+        let raw = first[0];
+        const lines = [first[2]];
+        // Continuation: indented lines, and blank lines followed by one
+        for (const m of src.slice(raw.length).matchAll(/^((?:[ \t]*\n)*)((?: {2,}|\t)[^\n]*)(?:\n|$)/gy)) {
+            raw += m[0];
+            lines.push(...m[1].split('\n').slice(0, -1).map(() => ''), m[2].replace(/^(?: {1,4}|\t)/, ''));
+        }
+        return {
+            type: 'footnote',
+            raw,
+            label: first[1],
+            tokens: this.lexer.blockTokens(lines.join('\n'), []),
+        };
+    },
+    renderer(token) {
+        const label = escapeHtml(token.label);
+        return `<div class="footnote" id="fn-${label}">` +
+            `<a class="footnote-label" href="#fnref-${label}" title="Back to reference">${label}</a>\n` +
+            `${this.parser.parse(token.tokens)}</div>\n`;
+    },
+};
+
+// Footnote reference: `[^label]`, a superscript link to the definition. Every
+// reference gets fnref-<label>; the page (assignFootnoteRefIds() in index.html) and
+// renderDiffHtml() number repeated ones, as blocks render on their own.
+const footnoteRef = {
+    name: 'footnoteRef',
+    level: 'inline',
+    start(src) {
+        return src.indexOf('[^');
+    },
+    tokenizer(src) {
+        const m = /^\[\^([^\]\s]+)\]/.exec(src);
+        if (!m) return undefined;
+        return { type: 'footnoteRef', raw: m[0], label: m[1] };
+    },
+    renderer(token) {
+        const label = escapeHtml(token.label);
+        return `<sup class="footnote-ref"><a href="#fn-${label}" id="fnref-${label}">${label}</a></sup>`;
+    },
+};
+
+// `key: value` fields of a front matter block. Indented lines continue the last
+// field; `- item` lines under it become a comma-separated list.
+function frontMatterFields(yaml) {
+    const fields = [];
+    const unquote = value => value.trim().replace(/^(["'])(.*)\1$/, '$2');
+    for (const line of yaml.split('\n')) {
+        if (/^\s*(#|$)/.test(line)) continue;
+        const field = /^([\w$][\w$.-]*)[ \t]*:(?:[ \t]+(.*))?$/.exec(line);
+        const last = fields.at(-1);
+        if (field) {
+            fields.push({ key: field[1], value: unquote(field[2] ?? '') });
+        } else if (last && /^\s+-\s/.test(line)) {
+            last.value = [last.value, unquote(line.replace(/^\s+-\s/, ''))].filter(Boolean).join(', ');
+        } else if (last && /^\s/.test(line)) {
+            last.value = [last.value, line.trim()].filter(Boolean).join(' ');
+        } else {
+            return null;
+        }
+    }
+    return fields.length > 0 ? fields : null;
+}
+
+// YAML front matter (`---` ... `---` at the very top), as a table token flagged
+// frontMatter: { type: 'table', frontMatter: true, header, align, rows }
+const frontMatter = {
+    name: 'frontMatter',
+    level: 'block',
+    tokenizer(src, tokens) {
+        // Only the first block of the document, not of a blockquote or list item
+        if (tokens !== this.lexer.tokens || tokens.length > 0) return undefined;
+        const m = /^---[ \t]*\n([\s\S]*?)\n(?:---|\.\.\.)[ \t]*(?:\n|$)/.exec(src);
+        const fields = m && frontMatterFields(m[1]);
+        if (!fields) return undefined;
+        const cell = text => ({ text, tokens: this.lexer.inline(text), header: false, align: null });
+        return {
+            type: 'table',
+            frontMatter: true,
+            raw: m[0],
+            header: [{ ...cell('Field'), header: true }, { ...cell('Value'), header: true }],
+            align: [null, null],
+            rows: fields.map(({ key, value }) => [cell(key), cell(value)]),
+        };
+    },
+};
+
+export const markdownExtensions = {
+    extensions: [frontMatter, alert, footnote, footnoteRef],
+    renderer: {
+        // Raw HTML, sanitized on its own so its ids can be told from the renderers'
+        html(token) {
+            return sanitizeHtml(token.text, { userContent: true });
+        },
+        // Front matter as a compact card: field names on the left, values on the right
+        table(token) {
+            if (!token.frontMatter) return false;
+            const cells = row => row.map(cell => `<td>${this.parser.parseInline(cell.tokens)}</td>`).join('');
+            return '<table class="front-matter">\n' +
+                `<thead>\n<tr>${token.header.map(cell => `<th>${escapeHtml(cell.text)}</th>`).join('')}</tr>\n</thead>\n` +
+                `<tbody>\n${token.rows.map(row => `<tr>${cells(row)}</tr>\n`).join('')}</tbody>\n</table>\n`;
+        },
+    },
+};
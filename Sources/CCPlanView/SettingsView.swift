@@ -0,0 +1,34 @@
+import SwiftUI
+
+/// App settings (⌘,): which editor opens the source files a plan mentions, and how
+/// much context Changes Only keeps
+struct SettingsView: View {
+    @AppStorage(FileReferences.editorTemplateKey) private var editorTemplate = ""
+    @AppStorage(MarkdownWebView.foldContextKey) private var foldContext = 2
+
+    var body: some View {
+        Form {
+            Picker("Open file references in:", selection: $editorTemplate) {
+                ForEach(FileReferences.editorPresets, id: \.template) { preset in
+                    Text(preset.name).tag(preset.template)
+                }
+                if !FileReferences.editorPresets.contains(where: { $0.template == editorTemplate }) {
+                    Text("Custom").tag(editorTemplate)
+                }
+            }
+            TextField("Editor URL or command:", text: $editorTemplate, prompt: Text("Default app"))
+            Text("`{path}`, `{line}` and `{column}` are filled in. A template with `://` opens as a URL; anything else runs as a shell command, e.g. `code --goto {path}:{line}`.")
+                .font(.caption)
+                .foregroundStyle(.secondary)
+                .fixedSize(horizontal: false, vertical: true)
+
+            Stepper("Changes Only context: \(foldContext)", value: $foldContext, in: 0...10)
+            Text("Unchanged blocks, or code lines, kept around each change when the rest is folded.")
+                .font(.caption)
+                .foregroundStyle(.secondary)
+                .fixedSize(horizontal: false, vertical: true)
+        }
+        .padding(20)
+        .frame(width: 480)
+    }
+}
@@ -97,8 +97,12 @@ openProcess.waitUntilExit()
 // Small delay to let the app open
 Thread.sleep(forTimeInterval: 0.5)
 
+// Hooks run in the project directory; pass it on for resolving file references in the plan
+let projectRoot = FileManager.default.currentDirectoryPath
+let encodedRoot = projectRoot.addingPercentEncoding(withAllowedCharacters: allowedCharacters) ?? ""
+
 // Send refresh notification via URL scheme
-let refreshURL = URL(string: "ccplanview://refresh?file=\(encodedPath)")!
+let refreshURL = URL(string: "ccplanview://refresh?file=\(encodedPath)&root=\(encodedRoot)")!
 let urlProcess = Process()
 urlProcess.executableURL = URL(fileURLWithPath: "/usr/bin/open")
 urlProcess.arguments = [refreshURL.absoluteString]
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * Diff two markdown files the way CCPlanView shows them
+ * Run: node scripts/ccplanview-diff.mjs old.md new.md [--format html|json] [--output file]
+ *
+ * html (default): a self-contained page with the same red/green rendering as the app
+ * json: { old, new, summary, changes } for code review comments and CI logs
+ *
+ * Exits 0 when the documents are the same, 1 when they differ, 2 on errors (like diff).
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { configureRenderer, diffTokens, countChanges, renderDiffHtml, describeChanges, escapeHtml } from '../Sources/CCPlanView/Resources/diff-engine.mjs';
+import { markdownExtensions } from '../Sources/CCPlanView/Resources/markdown-extensions.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const resources = join(__dirname, '..', 'Sources/CCPlanView/Resources');
+
+const usage = 'Usage: ccplanview-diff old.md new.md [--format html|json] [--output file]';
+
+function parseArgs(args) {
+    const options = { format: 'html', output: null, files: [] };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--format' || arg === '--output') {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            options[arg.slice(2)] = args[++i];
+        } else if (arg.startsWith('--format=') || arg.startsWith('--output=')) {
+            const [name, value] = arg.slice(2).split(/=(.*)/s);
+            options[name] = value;
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+    if (options.help) return options;
+    if (options.files.length !== 2) throw new Error('Expected two files');
+    if (!['html', 'json'].includes(options.format)) throw new Error(`Unknown format ${options.format}`);
+    return options;
+}
+
+// The vendored browser builds, loaded like scripts/test-diff.mjs loads marked
+function loadLibrary(file, name) {
+    return new Function(readFileSync(join(resources, file), 'utf-8') + `; return ${name};`)();
+}
+
+function htmlPage(oldName, newName, summary, body) {
+    const css = ['github-markdown.css', 'highlight-github.min.css', 'markdown-extensions.css', 'diff.css']
+        .map(file => readFileSync(join(resources, file), 'utf-8'))
+        .join('\n');
+    const counts = ['added', 'changed', 'deleted', 'moved', 'tasks']
+        .filter(kind => summary[kind] > 0)
+        .map(kind => `${summary[kind]} ${kind}`)
+        .join(', ') || 'no changes';
+    return `<!DOCTYPE html>
+<html data-color-mode="light" data-light-theme="light" data-dark-theme="dark">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(oldName)} → ${escapeHtml(newName)}</title>
+<style>
+${css}
+body { margin: 0; background: #ffffff; }
+.markdown-body { max-width: 980px; margin: 0 auto; padding: 24px 32px; }
+.diff-report-header { max-width: 980px; margin: 0 auto; padding: 16px 32px 0; color: #656d76;
+    font: 13px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; }
+</style>
+</head>
+<body class="diff-report">
+<header class="diff-report-header">${escapeHtml(oldName)} → ${escapeHtml(newName)} · ${counts}</header>
+<article class="markdown-body">
+${body}</article>
+</body>
+</html>
+`;
+}
+
+function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (err) {
+        console.error(`${err.message}\n${usage}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(usage);
+        return 0;
+    }
+
+    const marked = loadLibrary('marked.min.js', 'marked');
+    marked.use({ breaks: true, gfm: true }, markdownExtensions);
+    configureRenderer({ marked, hljs: loadLibrary('highlight.min.js', 'hljs') });
+
+    const [oldFile, newFile] = options.files;
+    let oldTokens, newTokens;
+    try {
+        oldTokens = marked.Lexer.lex(readFileSync(oldFile, 'utf-8'));
+        newTokens = marked.Lexer.lex(readFileSync(newFile, 'utf-8'));
+    } catch (err) {
+        console.error(err.message);
+        return 2;
+    }
+
+    const diffResult = diffTokens(oldTokens, newTokens);
+    const summary = countChanges(diffResult);
+    const output = options.format === 'json'
+        ? JSON.stringify({ old: oldFile, new: newFile, ...describeChanges(oldTokens, newTokens, diffResult) }, null, 2) + '\n'
+        : htmlPage(oldFile, newFile, summary, renderDiffHtml(oldTokens, newTokens, diffResult));
+
+    if (options.output) {
+        writeFileSync(options.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+    return summary.total > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -1,13 +1,20 @@
 /**
- * Automated tests for diff logic in index.html
+ * Automated tests for the diff engine (Sources/CCPlanView/Resources/diff-engine.mjs)
  * Run: node scripts/test-diff.mjs
  *
- * Extracts diff functions from index.html and tests them with marked.js
+ * Imports the engine module and tests it with marked.js and the markdown extensions
  */
 
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import {
+    range, lcsPairs, pairMoves, diffTokens, diffListItems, diffTableRows, diffCodeLines, diffInline,
+    countChanges, splitRows, sanitizeHtml, configureRenderer, renderDiffHtml, describeChanges,
+    reanchorPath, anchorQuote, annotationsMarkdown, findFileReferences, fileReferenceCandidates, highlightLine,
+    diffCostLimitHits
+} from '../Sources/CCPlanView/Resources/diff-engine.mjs';
+import { markdownExtensions } from '../Sources/CCPlanView/Resources/markdown-extensions.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const projectRoot = join(__dirname, '..');
@@ -16,24 +23,8 @@ const projectRoot = join(__dirname, '..');
 const markedCode = readFileSync(join(projectRoot, 'Sources/CCPlanView/Resources/marked.min.js'), 'utf-8');
 const markedModule = new Function(markedCode + '; return marked;')();
 const { Lexer } = markedModule;
-
-// Extract diff functions from index.html
-const html = readFileSync(join(projectRoot, 'Sources/CCPlanView/Resources/index.html'), 'utf-8');
-const scriptMatch = html.match(/<script>([\s\S]*?)<\/script>/);
-const scriptContent = scriptMatch[1];
-
-// Extract function bodies (from range() to setTheme())
-const funcStart = scriptContent.indexOf('function range(');
-const funcEnd = scriptContent.indexOf('function setTheme(');
-const diffCode = scriptContent.substring(funcStart, funcEnd);
-
-// Evaluate diff functions in a context
-const evalContext = new Function(`
-    ${diffCode}
-    return { range, lcsPairs, greedyPairByDistance, diffTokens, diffListItems, diffTableRows, diffCodeLines };
-`)();
-
-const { diffTokens, diffListItems, diffTableRows, diffCodeLines } = evalContext;
+markedModule.use({ breaks: true, gfm: true }, markdownExtensions);
+configureRenderer({ marked: markedModule });
 
 // Test helpers
 let passed = 0;
@@ -146,7 +137,7 @@ console.log('Test 5: Multiple tables - cross-pairing prevention');
         assert(td1.changed.has(0), 'first table should have row 0 changed');
         // The old value should contain "a1" (from table A), not "c1" (from table C)
         if (td1.changed.get(0)) {
-            const oldRow = td1.changed.get(0).map(c => c.text).join('|');
+            const oldRow = [...td1.changed.get(0).cells.values()].map(c => c.oldCell.text).join('|');
             assert(oldRow.includes('a1'), `first table old row should contain "a1", got "${oldRow}"`);
             assert(!oldRow.includes('c1'), `first table old row should NOT contain "c1" (cross-pairing!)`);
         }
@@ -157,9 +148,9 @@ console.log('Test 5: Multiple tables - cross-pairing prevention');
         const td2 = tableChanges[1].detail.tableDiff;
         assert(td2.changed.has(0), 'second table should have row 0 changed');
         if (td2.changed.get(0)) {
-            const oldRow = td2.changed.get(0).map(c => c.text).join('|');
-            assert(oldRow.includes('c1'), `second table old row should contain "c1", got "${oldRow}"`);
-            assert(!oldRow.includes('a1'), `second table old row should NOT contain "a1" (cross-pairing!)`);
+            const oldRow = [...td2.changed.get(0).cells.values()].map(c => c.oldCell.text).join('|');
+            assert(oldRow === 'd1', `second table old cell should be "d1", got "${oldRow}"`);
+            assert(!oldRow.includes('b1'), `second table old row should NOT contain "b1" (cross-pairing!)`);
         }
     }
 }
@@ -213,7 +204,7 @@ console.log('Test 9: List item deleted');
     assert(detail.listDiff.deleted[0].item.text.includes('middle'), 'deleted item is "middle"');
 }
 
-console.log('Test 10: List item modified (shows as add+delete)');
+console.log('Test 10: List item modified (paired for inline word diff)');
 {
     const old = lex('- item1\n- item2\n');
     const now = lex('- item1\n- item2-changed\n');
@@ -221,10 +212,12 @@ console.log('Test 10: List item modified (shows as add+delete)');
     assert(result.changes.size === 1, 'one list change');
     const detail = result.changes.values().next().value;
     assert(detail.type === 'list', 'should be list diff');
-    // LCS-based: item2 != item2-changed → treated as add + delete, not modify
+    // Similar text in the same gap → one modified item, not add + delete
     assert(detail.listDiff.changed.has(1), 'item 1 should be marked');
-    assert(detail.listDiff.changed.get(1) === null, 'new item is added (null)');
-    assert(detail.listDiff.deleted.length === 1, 'old item is deleted');
+    const info = detail.listDiff.changed.get(1);
+    assert(info && info.type === 'modified', `item should be modified, got ${info?.type}`);
+    assert(info && info.oldItem.text === 'item2', 'modified item keeps old item');
+    assert(detail.listDiff.deleted.length === 0, 'old item is not shown as deleted');
 }
 
 console.log('Test 11: List add+delete same count (shift detection)');
@@ -271,11 +264,12 @@ console.log('Test 13: Code block line-level diff');
     assert(detail.type === 'code', `should be code diff, got ${detail.type}`);
     // line 1 changed (b = 2 → b = 99), lines 0 and 2 unchanged
     assert(detail.codeDiff.changed.has(1), 'line 1 should be changed');
-    assert(detail.codeDiff.changed.get(1) === null, 'changed line is added (null)');
+    assert(JSON.stringify(detail.codeDiff.changed.get(1)) === '{"oldIdx":1,"ranges":[[10,12]]}', 'edited line points at its old line');
     assert(!detail.codeDiff.changed.has(0), 'line 0 should NOT be changed');
     assert(!detail.codeDiff.changed.has(2), 'line 2 should NOT be changed');
     assert(detail.codeDiff.deleted.length === 1, 'one line deleted');
     assert(detail.codeDiff.deleted[0].line === 'const b = 2;', 'deleted line content');
+    assert(JSON.stringify(detail.codeDiff.deleted[0].ranges) === '[[10,11]]', 'old side of the edit');
 }
 
 console.log('Test 14: Code block line added');
@@ -548,8 +542,7 @@ console.log('Test 33: LCS performance guard — large input does not hang');
     lines[250] = 'line 250 changed';
     const newMd = '```\n' + lines.join('\n') + '\n```\n';
     const result = diffTokens(lex(oldMd), lex(newMd));
-    // With guard, LCS skips → whole block treated as modified (not code line-level)
-    // That's acceptable — the point is it doesn't hang
+    // Used to hit the O(m*n) guard; the point is it doesn't hang
     assert(result.changes.size >= 1, 'should still detect a change');
 }
 
@@ -563,6 +556,633 @@ console.log('Test 34: Whitespace-only change preserved scroll (no-change path)')
     // This tests the diffResult !== null && hasChanges === false path
 }
 
+console.log('Test 35: Paragraph modified — word-level inline diff');
+{
+    const old = lex('# Title\n\nThe quick brown fox jumps over the lazy dog.\n');
+    const now = lex('# Title\n\nThe quick red fox jumps over the lazy dog.\n');
+    const result = diffTokens(old, now);
+    const detail = result.changes.get(1);
+    assert(detail && detail.type === 'modified', 'paragraph should be modified');
+    assert(detail && detail.inlineDiff, 'modified paragraph should carry an inline diff');
+    if (detail && detail.inlineDiff) {
+        const added = detail.inlineDiff.ops.filter(o => o.op === 'added').map(o => o.atom.text).join('');
+        const deleted = detail.inlineDiff.ops.filter(o => o.op === 'deleted').map(o => o.atom.text).join('');
+        assert(added === 'red', `added words should be "red", got "${added}"`);
+        assert(deleted === 'brown', `deleted words should be "brown", got "${deleted}"`);
+    }
+}
+
+console.log('Test 36: Paragraph rewritten — falls back to whole-block diff');
+{
+    const old = lex('Completely different text here.\n');
+    const now = lex('Nothing in common whatsoever, friend.\n');
+    const result = diffTokens(old, now);
+    const detail = result.changes.get(0);
+    assert(detail && detail.type === 'modified', 'paragraph should be modified');
+    assert(detail && detail.inlineDiff === null, 'inline diff should be null for a rewrite');
+}
+
+console.log('Test 37: Inline diff keeps bold, links and code spans intact');
+{
+    const [oldP] = lex('Use **the old helper** and [docs](a.md) with `run()`.\n');
+    const [newP] = lex('Use **the new helper** and [docs](a.md) with `run()`.\n');
+    const inlineDiff = diffInline(oldP.tokens, newP.tokens);
+    assert(inlineDiff !== null, 'inline diff expected');
+    if (inlineDiff) {
+        const added = inlineDiff.ops.filter(o => o.op === 'added');
+        assert(added.length === 1 && added[0].atom.text === 'new', 'only "new" added');
+        assert(added[0].atom.wrap.join('>') === 'strong', 'added word keeps its strong wrapper');
+        const link = inlineDiff.ops.find(o => o.atom.token && o.atom.token.type === 'link');
+        assert(link && link.op === 'equal', 'link is an unchanged atom');
+        const code = inlineDiff.ops.find(o => o.atom.token && o.atom.token.type === 'codespan');
+        assert(code && code.op === 'equal', 'code span is an unchanged atom');
+    }
+}
+
+console.log('Test 38: Inline diff splits CJK text per character');
+{
+    const [oldP] = lex('計画を変更します\n');
+    const [newP] = lex('計画を確認します\n');
+    const inlineDiff = diffInline(oldP.tokens, newP.tokens);
+    assert(inlineDiff !== null, 'inline diff expected for CJK');
+    if (inlineDiff) {
+        const added = inlineDiff.ops.filter(o => o.op === 'added').map(o => o.atom.text).join('');
+        assert(added === '確認', `added should be "確認", got "${added}"`);
+    }
+}
+
+console.log('Test 39: Heading depth change is not word-diffed');
+{
+    const result = diffTokens(lex('## Setup steps\n'), lex('### Setup steps\n'));
+    const detail = result.changes.get(0);
+    assert(detail && detail.type === 'modified', 'heading should be modified');
+    assert(detail && detail.inlineDiff === null, 'depth change falls back to whole-block diff');
+}
+
+console.log('Test 40: List items rewritten beyond recognition stay add + delete');
+{
+    const old = lex('- keep\n- alpha beta gamma\n- tail\n');
+    const now = lex('- keep\n- something else entirely\n- tail\n');
+    const detail = diffTokens(old, now).changes.values().next().value;
+    assert(detail.type === 'list', 'should be list diff');
+    assert(detail.listDiff.changed.get(1) === null, 'rewritten item is added (null)');
+    assert(detail.listDiff.deleted.length === 1, 'old item is deleted');
+}
+
+console.log('Test 41: Large code block past the old LCS limit still diffs line-by-line');
+{
+    const lines = [];
+    for (let i = 0; i < 2000; i++) lines.push(`line ${i}`);
+    const oldMd = '```\n' + lines.join('\n') + '\n```\n';
+    lines[1000] = 'line 1000 changed';
+    lines.splice(1500, 0, 'inserted line');
+    const newMd = '```\n' + lines.join('\n') + '\n```\n';
+    const result = diffTokens(lex(oldMd), lex(newMd));
+    const detail = result.changes.values().next().value;
+    assert(detail && detail.type === 'code', `should be code diff, got ${detail?.type}`);
+    if (detail && detail.type === 'code') {
+        assert(detail.codeDiff.changed.size === 2, `expected 2 changed lines, got ${detail.codeDiff.changed.size}`);
+        assert(detail.codeDiff.changed.has(1000) && detail.codeDiff.changed.has(1500), 'changed lines 1000 and 1500');
+        assert(detail.codeDiff.deleted.length === 1, 'one deleted line');
+        assert(detail.codeDiff.deleted[0].beforeIdx === 1000, 'deleted line placed before its replacement');
+    }
+}
+
+console.log('Test 42: Large document and table keep block-level pairing');
+{
+    const paras = [];
+    for (let i = 0; i < 1500; i++) paras.push(`Paragraph number ${i}.`);
+    const rows = [];
+    for (let i = 0; i < 1500; i++) rows.push(`| r${i} | v${i} |`);
+    const build = () => paras.join('\n\n') + '\n\n| K | V |\n|---|---|\n' + rows.join('\n') + '\n';
+    const oldMd = build();
+    paras.splice(700, 1);
+    rows[900] = '| r900 | changed |';
+    const started = Date.now();
+    const result = diffTokens(lex(oldMd), lex(build()));
+    assert(Date.now() - started < 5000, 'large diff finishes quickly');
+    assert(result.deletions.length === 1, `expected 1 deletion, got ${result.deletions.length}`);
+    assert(result.deletions[0].token.raw.includes('Paragraph number 700.'), 'deleted paragraph 700');
+    const added = [...result.changes.values()].filter(d => d.type === 'added');
+    assert(added.length === 0, `no blocks should be marked added, got ${added.length}`);
+    const table = [...result.changes.values()].find(d => d.type === 'table');
+    assert(table && table.tableDiff.changed.size === 1 && table.tableDiff.changed.has(900), 'only table row 900 changed');
+}
+
+console.log('Test 43: lcsPairs returns an optimal, ordered matching');
+{
+    const a = 'ABCABBA'.split('');
+    const b = 'CBABAC'.split('');
+    const pairs = lcsPairs(range(a.length), range(b.length), (i, j) => a[i] === b[j]);
+    assert(pairs.length === 4, `LCS length should be 4, got ${pairs.length}`);
+    assert(pairs.every(([i, j]) => a[i] === b[j]), 'pairs match');
+    assert(pairs.every((p, k) => k === 0 || (p[0] > pairs[k - 1][0] && p[1] > pairs[k - 1][1])), 'pairs ascending');
+}
+
+console.log('Test 44: Appending after the last block keeps it unchanged');
+{
+    const old = lex('# Title\n\nLast paragraph.\n');
+    const now = lex('# Title\n\nLast paragraph.\n\nAppended.\n');
+    const result = diffTokens(old, now);
+    assert(!result.changes.has(1), 'previous last paragraph should not be changed');
+    assert(result.changes.get(2)?.type === 'added', 'appended paragraph is added');
+    assert(result.unchanged.get(0) === 0 && result.unchanged.get(1) === 1, 'unchanged map pairs new → old blocks');
+    assert(!result.unchanged.has(2), 'added block is not in unchanged map');
+}
+
+console.log('Test 45: countChanges tallies added, changed and deleted entries');
+{
+    const old = lex('# T\n\nKeep.\n\nGone.\n\n- a\n- b\n\n| A |\n|---|\n| 1 |\n| 2 |\n');
+    const now = lex('# T\n\nKeep!\n\n- a\n- new\n- b\n\n| A |\n|---|\n| 1 |\n');
+    const counts = countChanges(diffTokens(old, now));
+    assert(counts.changed === 1, `expected 1 changed (paragraph), got ${counts.changed}`);
+    assert(counts.added === 1, `expected 1 added (list item), got ${counts.added}`);
+    assert(counts.deleted === 2, `expected 2 deleted (paragraph + row), got ${counts.deleted}`);
+    assert(counts.total === 4, `expected total 4, got ${counts.total}`);
+    const none = countChanges(diffTokens(old, old));
+    assert(none.total === 0, 'identical documents have no changes');
+}
+
+console.log('Test 46: Deletions record their old index at every level');
+{
+    const old = lex('# T\n\nGone.\n\n- a\n- b\n\n```\nx\ny\n```\n');
+    const now = lex('# T\n\n- a\n\n```\ny\n```\n');
+    const result = diffTokens(old, now);
+    assert(result.deletions.length === 1 && result.deletions[0].oldIdx === 1, 'deleted paragraph is old block 1');
+    assert(result.paired.get(1) === 2, 'list pairs new 1 with old 2');
+    assert(result.paired.get(0) === 0 && result.unchanged.get(0) === 0, 'heading paired and unchanged');
+    assert(!result.unchanged.has(1), 'edited list is paired but not unchanged');
+    const ld = result.changes.get(1).listDiff;
+    assert(ld.deleted[0].oldIdx === 1, 'deleted item b is old item 1');
+    const cd = result.changes.get(2).codeDiff;
+    assert(cd.deleted[0].oldIdx === 0, 'deleted line x is old line 0');
+    const items = diffListItems(lex('- one two three\n- keep\n')[0].items, lex('- keep\n- one two four\n')[0].items);
+    const modified = [...items.changed.values()].find(info => info && info.type === 'modified');
+    assert(!modified || modified.oldIdx === 0, 'modified item points at its old index');
+}
+
+console.log('Test 47: splitRows aligns paired blocks and zips replacements');
+{
+    const old = lex('# T\n\nKeep.\n\nOld A.\n\n---\n\nTail.\n');
+    const now = lex('# T\n\nKeep.\n\n| New |\n|---|\n| 1 |\n\n> New B\n\nTail.\n');
+    const result = diffTokens(old, now);
+    const rows = splitRows(result, 5);
+    const shape = rows.map(r => `${r.oldIdx}:${r.newIdx}`).join(',');
+    // Paragraph and hr were replaced by a table and a blockquote: two shared rows
+    assert(shape === '0:0,1:1,2:2,3:3,4:4', `rows ${shape}`);
+    const appended = diffTokens(lex('A\n\nB\n'), lex('A\n\nB\n\nC\n\nD\n'));
+    const tail = splitRows(appended, 4).map(r => `${r.oldIdx}:${r.newIdx}`).join(',');
+    assert(tail === '0:0,1:1,null:2,null:3', `appended rows ${tail}`);
+    const removed = diffTokens(lex('A\n\nB\n\n# C\n'), lex('A\n'));
+    const gone = splitRows(removed, 1).map(r => `${r.oldIdx}:${r.newIdx}`).join(',');
+    assert(gone === '0:0,1:null,2:null', `removed rows ${gone}`);
+    const covered = new Set(rows.filter(r => r.oldIdx !== null).map(r => r.oldIdx));
+    assert(covered.size === 5, 'every old block appears once');
+}
+
+console.log('Test 48: Reordered section is reported as moved, not silently paired');
+{
+    const old = lex('# Plan\n\n## Step 1\n\nDo A.\n\n## Step 2\n\nDo B.\n\n## Step 4\n\nDo D.\n');
+    const now = lex('# Plan\n\n## Step 4\n\nDo D.\n\n## Step 1\n\nDo A.\n\n## Step 2\n\nDo B.\n');
+    const result = diffTokens(old, now);
+    const moved = [...result.changes].filter(([, d]) => d.type === 'moved');
+    assert(moved.length === 2, `expected 2 moved blocks, got ${moved.length}`);
+    assert(moved.every(([, d]) => d.inner === null), 'unedited moves have no inner diff');
+    assert(result.changes.get(1)?.oldIdx === 5 && result.changes.get(2)?.oldIdx === 6, 'Step 4 heading and body come from old 5, 6');
+    // Old position falls after "Do B." (new index 6) → beforeNewIdx 7 (end)
+    assert(result.changes.get(1).beforeNewIdx === 7, `old position at end, got ${result.changes.get(1).beforeNewIdx}`);
+    assert(result.deletions.length === 0, 'no deletions');
+    assert(result.unchanged.get(1) === 5, 'moved identical block can still be reused');
+    const counts = countChanges(result);
+    assert(counts.moved === 2 && counts.total === 2, `counts ${JSON.stringify(counts)}`);
+}
+
+console.log('Test 49: Moved and edited block keeps its inner diff');
+{
+    const old = lex('Intro.\n\nThe quick brown fox jumps over the lazy dog.\n\nMiddle.\n\nEnd.\n');
+    const now = lex('Intro.\n\nMiddle.\n\nEnd.\n\nThe quick brown fox leaps over the lazy dog.\n');
+    const result = diffTokens(old, now);
+    const detail = result.changes.get(3);
+    assert(detail && detail.type === 'moved', 'edited paragraph is moved');
+    assert(detail.inner && detail.inner.type === 'modified' && detail.inner.inlineDiff, 'inner word diff kept');
+    assert(detail.beforeNewIdx === 1, `old position before "Middle." got ${detail.beforeNewIdx}`);
+    assert(result.deletions.length === 0, 'not shown as a deletion');
+    const unrelated = diffTokens(lex('A.\n\nSomething else entirely here.\n\nB.\n'), lex('A.\n\nB.\n\nTotally different words now.\n'));
+    assert(unrelated.deletions.length === 1 && unrelated.changes.get(2)?.type === 'added', 'dissimilar blocks stay delete + add');
+}
+
+console.log('Test 50: Edited in place is not a move');
+{
+    const old = lex('# T\n\nOne two three four.\n\n- a\n- b\n');
+    const now = lex('# T\n\nOne two three five.\n\n- a\n- b\n- c\n');
+    const result = diffTokens(old, now);
+    assert(result.changes.get(1).type === 'modified', 'paragraph edited in place');
+    assert(result.changes.get(2).type === 'list', 'list diffed in place');
+}
+
+console.log('Test 51: Moved list items and table rows');
+{
+    const ld = diffListItems(lex('- step 1\n- step 2\n- step 3\n- step 4\n')[0].items,
+        lex('- step 1\n- step 4\n- step 2\n- step 3\n')[0].items);
+    const info = ld.changed.get(1);
+    assert(info && info.type === 'moved' && info.oldIdx === 3 && info.inner === null, 'step 4 moved from old index 3');
+    assert(info.beforeIdx === 4, `old position at end, got ${info.beforeIdx}`);
+    assert(ld.changed.size === 1 && ld.deleted.length === 0, 'nothing else changed');
+
+    const edited = diffListItems(lex('- alpha beta gamma delta\n- x\n- y\n')[0].items,
+        lex('- x\n- y\n- alpha beta gamma epsilon\n')[0].items);
+    const movedItem = edited.changed.get(2);
+    assert(movedItem?.type === 'moved' && movedItem.inner?.type === 'modified', 'moved + edited item has inner word diff');
+
+    const td = diffTableRows(lex('| A | B |\n|---|---|\n| 1 | one |\n| 2 | two |\n| 3 | three |\n')[0],
+        lex('| A | B |\n|---|---|\n| 3 | three! |\n| 1 | one |\n| 2 | two |\n')[0]);
+    const row = td.changed.get(0);
+    assert(row?.type === 'moved' && row.oldIdx === 2, 'row 3 moved to the top');
+    assert(row.cells.size === 1 && row.cells.get(1)?.oldCell.text === 'three', 'edited moved row keeps its old cell');
+    assert(td.deleted.length === 0, 'no deleted rows');
+}
+
+console.log('Test 52: pairMoves matches by key first, then by similarity across gaps');
+{
+    // anchors: old 1 ↔ new 1
+    const anchors = new Map([[1, 1]]);
+    const oldKeys = ['x', 'keep', 'y'];
+    const newKeys = ['y2', 'keep', 'x'];
+    const moves = pairMoves(3, 3, anchors, oi => oldKeys[oi], ni => newKeys[ni],
+        (oi, ni) => (oldKeys[oi][0] === newKeys[ni][0] ? 0.9 : 0));
+    assert(moves.get(2) === 0, 'identical x moved from 0 to 2');
+    assert(moves.get(0) === 2, 'similar y moved from 2 to 0');
+    const sameGap = pairMoves(1, 1, new Map(), () => 'a', () => 'b', () => 1);
+    assert(sameGap.size === 0, 'similar entries in the same gap are not a move');
+}
+
+console.log('Test 53: splitRows gives moved blocks their own rows');
+{
+    const old = lex('A.\n\nB.\n\nC.\n');
+    const now = lex('C.\n\nA.\n\nB.\n');
+    const result = diffTokens(old, now);
+    const shape = splitRows(result, 3).map(r => `${r.oldIdx}:${r.newIdx}`).join(',');
+    assert(shape === 'null:0,0:1,1:2,2:null', `rows ${shape}`);
+}
+
+console.log('Test 54: Blockquotes nested three deep diff all the way down');
+{
+    const old = lex('> outer\n>\n> > mid\n> >\n> > > - a\n> > > - b\n> > >\n> > > ```\n> > > x\n> > > ```\n');
+    const now = lex('> outer\n>\n> > mid\n> >\n> > > - a\n> > > - c\n> > >\n> > > ```\n> > > y\n> > > ```\n');
+    const result = diffTokens(old, now);
+    const outer = result.changes.get(0);
+    assert(outer?.type === 'blockquote', 'outer blockquote diffed');
+    const mid = outer.bqDiff.changes.get(1);
+    assert(mid?.type === 'blockquote', 'middle blockquote diffed');
+    const inner = mid.bqDiff.changes.get(1);
+    assert(inner?.type === 'blockquote', 'innermost blockquote diffed');
+    const deep = inner.bqDiff;
+    const types = [...deep.changes.values()].map(d => d.type).sort().join(',');
+    assert(types === 'code,list', `innermost has list and code diffs, got ${types}`);
+    const counts = countChanges(result);
+    assert(counts.added === 1 && counts.deleted === 1 && counts.changed === 1, `counts ${JSON.stringify(counts)}`);
+}
+
+console.log('Test 55: Table cell edit changes only that cell');
+{
+    const old = lex('| Task | Status | Owner |\n|---|---|---|\n| Parser | todo | ann |\n| Lexer | done | bob |\n');
+    const now = lex('| Task | Status | Owner |\n|---|---|---|\n| Parser | done | ann |\n| Lexer | done | bob |\n');
+    const td = diffTokens(old, now).changes.get(0).tableDiff;
+    const row = td.changed.get(0);
+    assert(row?.type === 'modified' && row.oldIdx === 0, 'row 0 edited in place');
+    assert(row.cells.size === 1 && row.cells.get(1).oldCell.text === 'todo', 'only the status cell changed');
+    assert(td.deleted.length === 0 && !td.headerChanged, 'no rows deleted, header untouched');
+    const counts = countChanges(diffTokens(old, now));
+    assert(counts.changed === 1 && counts.total === 1, `counts ${JSON.stringify(counts)}`);
+}
+
+console.log('Test 56: Table columns inserted, removed and renamed');
+{
+    const old = lex('| A | B | C |\n|---|---|---|\n| 1 | 2 | 3 |\n| 4 | 5 | 6 |\n');
+    const added = lex('| A | New | B | C |\n|---|---|---|---|\n| 1 | x | 2 | 3 |\n| 4 | y | 5 | 6 |\n');
+    let td = diffTokens(old, added).changes.get(0).tableDiff;
+    const shape = td.columns.map(c => `${c.oldCol}:${c.newCol}`).join(',');
+    assert(shape === '0:0,null:1,1:2,2:3', `inserted column layout ${shape}`);
+    assert(td.changed.size === 0 && td.deleted.length === 0, 'rows are not changed by a new column');
+    assert(td.headerChanged, 'header reports the column change');
+
+    td = diffTokens(old, lex('| A | C |\n|---|---|\n| 1 | 3 |\n| 4 | 6 |\n')).changes.get(0).tableDiff;
+    const removed = td.columns.find(c => c.newCol === null);
+    assert(removed?.oldCol === 1 && td.columns.indexOf(removed) === 1, 'removed column keeps its old place');
+    assert(removed.header.text === 'B' && removed.cells.map(c => c.text).join() === '2,5', 'removed column keeps old cells by row');
+    assert(td.changed.size === 0, 'rows unchanged');
+    assert(countChanges({ changes: new Map([[0, { type: 'table', tableDiff: td }]]), deletions: [] }).deleted === 1, 'removed column counted once');
+
+    td = diffTokens(old, lex('| A | Bee | C |\n|---|---|---|\n| 1 | 2 | 3 |\n| 4 | 5 | 6 |\n')).changes.get(0).tableDiff;
+    assert(td.columns.every(c => c.oldCol === c.newCol), 'renamed column stays aligned');
+    assert(td.header.get(1)?.oldCell.text === 'B', 'renamed header cell');
+}
+
+console.log('Test 57: Changed code block keeps its old source (diagram diff)');
+{
+    const old = lex('```mermaid\ngraph TD\nA-->B\n```\n');
+    const now = lex('```mermaid\ngraph TD\nA-->C\n```\n');
+    const detail = diffTokens(old, now).changes.get(0);
+    assert(detail?.type === 'code', 'diagram diffed as code');
+    assert(detail.oldToken.lang === 'mermaid' && detail.oldToken.text === 'graph TD\nA-->B', 'old diagram source kept');
+    assert(detail.codeDiff.changed.has(1) && detail.codeDiff.deleted.length === 1, 'line diff still there');
+}
+
+console.log('Test 58: Checkbox flips are task changes, not edits');
+{
+    const old = lex('- [ ] a\n- [ ] b\n  - [ ] b1\n- [x] c\n');
+    const now = lex('- [x] a\n- [ ] b\n  - [x] b1\n- [ ] c\n');
+    const result = diffTokens(old, now);
+    const ld = result.changes.get(0)?.listDiff;
+    assert(ld, 'list diffed per item');
+    assert(ld.changed.get(0)?.type === 'task' && ld.changed.get(0).checked === true, 'ticked item is completed');
+    assert(ld.changed.get(2)?.type === 'task' && ld.changed.get(2).checked === false, 'cleared item is reopened');
+    const nested = ld.changed.get(1);
+    assert(nested?.type === 'nestedList', `parent of a nested flip is nestedList (got ${nested?.type})`);
+    assert(nested?.nestedDiff.changed.get(0)?.type === 'task', 'nested flip is a task change');
+    assert(ld.deleted.length === 0, 'no deletions for flips');
+    const counts = countChanges(result);
+    assert(counts.tasks === 3 && counts.changed === 0 && counts.total === 3, `task counts ${JSON.stringify(counts)}`);
+
+    const edited = diffTokens(lex('- [ ] write docs\n'), lex('- [x] write the docs\n')).changes.get(0)?.listDiff;
+    assert(edited?.changed.get(0)?.type === 'modified', 'flip with a text edit stays modified');
+}
+
+console.log('Test 59: sanitizeHtml drops scripts, handlers and unsafe URLs');
+{
+    const clean = sanitizeHtml('<p>Hi <script>alert(1)</script><b onclick="x()" class="y">there</b></p>');
+    assert(clean === '<p>Hi <b>there</b></p>', `script and handler removed (got ${clean})`);
+
+    const unsafe = [
+        '<a href="javascript:alert(1)">x</a>',
+        '<a href="JavaScript:alert(1)">x</a>',
+        '<a href="jav&#x09;ascript:alert(1)">x</a>',
+        '<a href="&#106;avascript:alert(1)">x</a>',
+        '<a href="&#0000106avascript:alert(1)">x</a>',
+        '<a href="javascript&colon;alert(1)">x</a>',
+        '<a href=" \tjavascript:alert(1)">x</a>',
+        '<a href="vbscript:msgbox(1)">x</a>',
+        '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+    ];
+    for (const input of unsafe) {
+        assert(sanitizeHtml(input) === '<a>x</a>', `unsafe href dropped: ${input} → ${sanitizeHtml(input)}`);
+    }
+    for (const href of ['https://example.com/?a=1&amp;b=2', 'file:///tmp/plan.md', 'docs/a.md', '#usage', 'mailto:a@b.c']) {
+        assert(sanitizeHtml(`<a href="${href}">x</a>`) === `<a href="${href}">x</a>`, `safe href kept: ${href}`);
+    }
+    assert(sanitizeHtml('<img src="data:image/png;base64,AAAA">') === '<img src="data:image/png;base64,AAAA">', 'data image kept');
+
+    const tags = sanitizeHtml('<iframe src="file:///etc/passwd"></iframe><style>p{}</style><svg><script>x</script></svg><form><button>Go</button></form><!-- note -->');
+    assert(tags === 'Go', `embedded documents dropped, unknown tags unwrapped (got ${tags})`);
+
+    const img = sanitizeHtml('<img src=x onerror=alert(1)//>');
+    assert(img === '<img src="x">', `unquoted handler dropped (got ${img})`);
+    const quoted = sanitizeHtml(`<img alt='a" onload="x' src="p.png">`);
+    assert(quoted === '<img alt="a&quot; onload=&quot;x" src="p.png">', `values re-escaped (got ${quoted})`);
+    assert(sanitizeHtml('a <b onclick=x') === 'a &lt;b onclick=x', 'unfinished tag left as text');
+
+    assert(sanitizeHtml('<input type="text" value="x">') === '', 'text inputs dropped');
+    assert(sanitizeHtml('<input checked="" type="checkbox">') === '<input checked="" type="checkbox" disabled="">', 'checkboxes kept read-only');
+    assert(sanitizeHtml('<code class="language-js x">a</code>') === '<code class="language-js">a</code>', 'code keeps language class only');
+    assert(sanitizeHtml('<h2 id="usage" style="color:red">Usage</h2>') === '<h2 id="usage">Usage</h2>', 'heading ids kept, styles dropped');
+
+    const md = '<div onmouseover="x">hi</div>\n\n| a |\n|---|\n| <img src=x onerror=y> |\n\n```html\n<script>code</script>\n```\n';
+    const rendered = sanitizeHtml(markedModule.parse(md));
+    assert(!/onmouseover|onerror|<script/.test(rendered), `rendered markdown is clean (got ${rendered})`);
+    assert(rendered.includes('&lt;script&gt;code&lt;/script&gt;'), 'code block text survives escaped');
+
+    assert(sanitizeHtml('<a name="top" id="fn-1">x</a>', { userContent: true }) === '<a name="user-content-top" id="user-content-fn-1">x</a>',
+        'author ids and names prefixed');
+    const authored = sanitizeHtml(markedModule.parse('<div id="content">\n\n# Usage\n\n</div>\n\nSee <a id="fnref-1">here</a>[^1].\n\n[^1]: Note.\n'));
+    assert(authored.includes('<div id="user-content-content">') && authored.includes('<a id="user-content-fnref-1">'),
+        `raw HTML ids prefixed (got ${authored})`);
+    assert(authored.includes('id="fnref-1"') && authored.includes('id="fn-1"'),
+        'generated ids kept');
+}
+
+console.log('Test 60: renderDiffHtml draws the diff into one HTML document');
+{
+    const old = lex('# Plan\n\nShip the parser today.\n\n- a\n- b\n\n| A | B |\n|---|---|\n| 1 | 2 |\n\n```js\nx = 1\n```\n\nGone.\n');
+    const now = lex('# Plan\n\nShip the parser tomorrow.\n\n- a\n- c\n\n| A | B |\n|---|---|\n| 1 | 3 |\n\n```js\nx = 2\n```\n');
+    const html = renderDiffHtml(old, now);
+    assert(html.includes('<p class="changed-block">Ship the parser <del class="diff-del">today</del><ins class="diff-ins">tomorrow</ins>.</p>'),
+        'paragraph word diff');
+    assert(html.includes('<li class="deleted-block">b</li>') && html.includes('<li class="changed-block">c</li>'), 'list items');
+    assert(/<td class="cell-changed" title="Was: 2">/.test(html), 'table cell change');
+    assert(html.includes('<span class="code-line-deleted">x = <del class="diff-del">1</del></span>' +
+        '<span class="code-line-changed">x = <ins class="diff-ins">2</ins></span>'), 'code lines');
+    assert(/<div class="deleted-block"><p>Gone\.<\/p>/.test(html), 'deleted block at the end');
+
+    const moved = renderDiffHtml(lex('One.\n\nTwo.\n\nThree.\n'), lex('Two.\n\nThree.\n\nOne.\n'));
+    assert(/<div class="moved-from" id="moved-from-1"><a class="moved-link" href="#moved-1">Moved down ↓<\/a><\/div>/.test(moved), 'move origin links down');
+    assert(/<p class="moved-block" id="moved-1">One\.<\/p>/.test(moved), 'moved block anchored');
+
+    const raw = renderDiffHtml(lex('Hi\n'), lex('Hi <img src=x onerror=alert(1)>\n'));
+    assert(!raw.includes('onerror'), 'rendered diff is sanitized');
+    assert(renderDiffHtml(old, old) === renderDiffHtml(old, old), 'rendering twice gives the same HTML');
+}
+
+console.log('Test 61: describeChanges lists changes with source lines');
+{
+    const old = lex('# Plan\n\n- [ ] a\n- b\n\n```\none\ntwo\n```\n');
+    const now = lex('# Plan\n\nNew intro.\n\n- [x] a\n- b\n- c\n\n```\none\n2\n```\n');
+    const { summary, changes } = describeChanges(old, now);
+    assert(summary.total === countChanges(diffTokens(old, now)).total, 'summary matches countChanges');
+    const find = (kind, block) => changes.find(c => c.kind === kind && c.block === block);
+    assert(find('added', 'paragraph')?.line === 3 && find('added', 'paragraph').text === 'New intro.', 'added paragraph with line');
+    const task = find('task', 'list item');
+    assert(task?.line === 5 && task.oldLine === 3 && task.checked === true && task.text === '[x] a', `task flip (got ${JSON.stringify(task)})`);
+    assert(find('added', 'list item')?.line === 7, 'added item line');
+    assert(find('deleted', 'code line')?.oldLine === 8 && find('deleted', 'code line').text === 'two', 'deleted code line');
+    assert(find('added', 'code line')?.line === 11, 'added code line');
+    assert(JSON.parse(JSON.stringify(changes)).length === changes.length, 'plain JSON');
+}
+
+console.log('Test 62: Annotation paths follow their element to the next revision');
+{
+    const old = lex('Intro.\n\n- [ ] one\n- two\n  - sub a\n  - sub b\n\n| A | B |\n|---|---|\n| 1 | x |\n| 2 | y |\n\n```js\nconst a = 1;\nconst b = 2;\n```\n\n> quoted\n>\n> - q1\n');
+    const now = lex('New first.\n\nIntro.\n\n- [x] one\n- zero\n- two\n  - sub 0\n  - sub a\n  - sub b\n\n| A | B |\n|---|---|\n| 0 | z |\n| 1 | x |\n| 2 | y |\n\n```js\n// c\nconst a = 1;\nconst b = 3;\n```\n\n> quoted\n>\n> - q0\n> - q1\n');
+    const follow = path => JSON.stringify(reanchorPath(path, old, now));
+    assert(follow([{ block: 0 }]) === '[{"block":1}]', 'block pushed down');
+    assert(follow([{ block: 1 }, { item: 0 }]) === '[{"block":2},{"item":0}]', 'ticked item');
+    assert(follow([{ block: 1 }, { item: 1 }, { item: 1 }]) === '[{"block":2},{"item":2},{"item":2}]', 'nested item');
+    assert(follow([{ block: 2 }, { row: 1 }]) === '[{"block":3},{"row":2}]', 'table row');
+    assert(follow([{ block: 3 }, { line: 0 }]) === '[{"block":4},{"line":1}]', 'code line');
+    assert(follow([{ block: 4 }, { block: 1 }, { item: 0 }]) === '[{"block":5},{"block":1},{"item":1}]', 'item in a blockquote');
+    assert(follow([{ block: 3 }, { line: 1 }]) === '[{"block":4},{"line":2}]', 'edited code line');
+    assert(reanchorPath([{ block: 3 }, { line: 1 }], old, lex('```js\nconst a = 1;\nreturn;\n```\n')) === null, 'rewritten code line is gone');
+    assert(reanchorPath([{ block: 0 }], old, lex('- [ ] one\n- two\n')) === null, 'deleted block is gone');
+    assert(JSON.stringify(reanchorPath([{ block: 0 }], old, lex('Outro.\n'))) === '[{"block":0}]', 'block rewritten in place');
+    assert(reanchorPath([{ block: 9 }], old, now) === null, 'path outside the document');
+
+    const diffResult = diffTokens(old, now);
+    const { paired } = diffResult.changes.get(2).listDiff;
+    assert(paired.get(0) === 0 && paired.get(2) === 1 && !paired.has(1), `diffListItems pairs (got ${[...paired]})`);
+    assert(JSON.stringify([...diffResult.changes.get(3).tableDiff.paired]) === '[[1,0],[2,1]]', 'diffTableRows pairs');
+    assert(JSON.stringify([...diffResult.changes.get(4).codeDiff.paired]) === '[[1,0],[2,1]]', 'diffCodeLines pairs');
+    assert(follow([{ block: 0 }]) === JSON.stringify(reanchorPath([{ block: 0 }], old, now, diffResult)), 'precomputed diff');
+
+    assert(anchorQuote(now, [{ block: 2 }, { item: 0 }]) === '- [x] one', 'item quote');
+    assert(anchorQuote(lex('3. a\n4. b\n'), [{ block: 0 }, { item: 1 }]) === '4. b', 'ordered item quote');
+    assert(anchorQuote(now, [{ block: 2 }, { item: 2 }]) === '- two', 'item quote leaves out the nested list');
+    assert(anchorQuote(now, [{ block: 3 }, { row: 0 }]) === '| 0 | z |', 'row quote');
+    assert(anchorQuote(now, [{ block: 4 }, { line: 1 }]) === '```js\nconst a = 1;\n```', 'code line quote');
+    assert(anchorQuote(now, [{ block: 1 }]) === 'Intro.', 'block quote');
+    assert(anchorQuote(now, [{ block: 1 }, { item: 0 }]) === null, 'path that does not fit');
+}
+
+console.log('Test 63: annotationsMarkdown quotes annotations in document order');
+{
+    const feedback = annotationsMarkdown('plan.md', [
+        { path: [{ block: 2 }, { item: 0 }], quote: '- [ ] one', comment: 'Why?' },
+        { path: null, quote: 'Old step.', comment: 'Dropped?' },
+        { path: [{ block: 1 }], quote: 'Line one\n\nLine two', comment: ' Shorter. \n' },
+        { path: [{ block: 2 }], quote: '- [ ] one', comment: '  ' },
+    ]);
+    assert(feedback === 'Review feedback on plan.md:\n\n> Line one\n>\n> Line two\n\nShorter.\n\n---\n\n' +
+        '> - [ ] one\n\nWhy?\n\n---\n\n> Old step.\n\n_(no longer in the plan)_\n\nDropped?\n', `feedback (got ${JSON.stringify(feedback)})`);
+    assert(annotationsMarkdown('plan.md', []) === '', 'nothing to export');
+}
+
+console.log('Test 64: findFileReferences spots source paths with their lines');
+{
+    const paths = text => findFileReferences(text).map(ref => [ref.path, ref.line, ref.column]);
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    assert(same(paths('Edit src/foo.ts:42 and Sources/App.swift.'), [['src/foo.ts', 42, null], ['Sources/App.swift', null, null]]),
+        'paths in prose, sentence end left out');
+    assert(same(paths('(see ./docs/a.md#L3-L9), lib/b.rb:3:7! src/c.ts:10-20'),
+        [['./docs/a.md', 3, null], ['lib/b.rb', 3, 7], ['src/c.ts', 10, null]]), 'line suffixes');
+    assert(same(paths('Node.js, e.g. this, and/or 1/2.5 or //cdn.example.com/a.js'), []), 'no directory, no link');
+    const [ref] = findFileReferences('Use ~/x/y.json: fine');
+    assert(ref.path === '~/x/y.json' && ref.start === 4 && ref.end === 14, 'offsets');
+
+    assert(findFileReferences(' package.json#L2 ', true)[0]?.line === 2, 'code span: bare file name');
+    assert(findFileReferences('npm run build', true).length === 0 && findFileReferences('v1.2.3', true).length === 0 &&
+        findFileReferences('x.y()', true).length === 0, 'code span: not a path');
+
+    assert(same(fileReferenceCandidates('../x/./y.ts', ['/p/root', '/p/root/docs/']), ['/p/x/y.ts', '/p/root/x/y.ts']), 'relative to each folder');
+    assert(same(fileReferenceCandidates('a.ts', ['/r', null, '/r/']), ['/r/a.ts']), 'duplicates and missing folders dropped');
+    assert(same(fileReferenceCandidates('/abs/a.ts', ['/r']), ['/abs/a.ts']) && same(fileReferenceCandidates('~/a.ts', ['/r']), ['~/a.ts']),
+        'absolute paths as is');
+}
+
+console.log('Test 65: GitHub alerts lex as containers and diff block by block');
+{
+    const old = lex('Intro\n\n> [!NOTE]\n> Keep it short.\n>\n> Second line.\n\n> [!WARNING]\n> Careful.\n');
+    const now = lex('Intro\n\n> [!NOTE]\n> Keep it shorter.\n>\n> Second line.\n\n> [!CAUTION]\n> Careful.\n');
+    const [note, warning] = old.filter(t => t.type === 'alert');
+    assert(note?.kind === 'note' && note.tokens.filter(t => t.type !== 'space').length === 2, 'alert body lexed');
+    assert(warning?.kind === 'warning', 'second alert');
+    assert(lex('> [!NOTE] not alone\n')[0].type === 'blockquote' && lex('> plain\n')[0].type === 'blockquote', 'plain quotes stay quotes');
+
+    const result = diffTokens(old, now);
+    const inner = result.changes.get(1);
+    assert(inner?.type === 'blockquote' && inner.bqDiff.changes.get(0)?.type === 'modified', 'edited alert diffed inside');
+    assert(inner.bqDiff.changes.size === 1, 'untouched paragraph in the alert unchanged');
+    assert(result.changes.get(2)?.type === 'modified' && !result.changes.get(2).inlineDiff, 'kind change replaces the alert');
+
+    const html = renderDiffHtml(old, now, result);
+    assert(html.includes('<div class="markdown-alert markdown-alert-note">\n<p class="markdown-alert-title">Note</p>'), 'alert markup kept by the sanitizer');
+    assert(/markdown-alert-title">Note<\/p>\n<p class="changed-block">Keep it <del class="diff-del">short<\/del>/.test(html), 'word diff inside the alert');
+    assert(reanchorPath([{ block: 1 }, { block: 1 }], old, now)?.[1]?.block === 1, 'annotation inside an alert follows');
+}
+
+console.log('Test 66: Footnotes diff as references and labelled definitions');
+{
+    const old = lex('Ship it[^1] soon.\n\n[^1]: After review.\n    Second paragraph line.\n\n[^note]: Gone.\n');
+    const now = lex('Ship it[^1] later[^2].\n\n[^1]: After the review.\n    Second paragraph line.\n\n[^2]: New.\n');
+    const defs = old.filter(t => t.type === 'footnote');
+    assert(defs.length === 2 && defs[0].label === '1' && /Second paragraph line/.test(defs[0].tokens[0]?.text), 'definition with its indented line');
+    assert(old[0].tokens.some(t => t.type === 'footnoteRef' && t.label === '1'), 'inline reference');
+
+    const result = diffTokens(old, now);
+    assert(result.changes.get(0)?.type === 'modified' && result.changes.get(0).inlineDiff, 'new reference diffed in the paragraph');
+    assert(result.changes.get(1)?.type === 'blockquote', 'same label: definition diffed inside');
+    assert(result.changes.get(2)?.type === 'modified' && result.changes.get(2).oldToken.label === 'note', 'relabelled: replaced');
+
+    const html = renderDiffHtml(old, now, result);
+    assert(html.includes('<ins class="diff-ins">later<sup class="footnote-ref"><a href="#fn-2" id="fnref-2">2</a></sup></ins>'), 'reference markup in the word diff');
+    assert(html.includes('<div class="footnote" id="fn-1"><a class="footnote-label" href="#fnref-1" title="Back to reference">1</a>'),
+        'definition links back');
+
+    const cited = renderDiffHtml([], lex('A[^1] and B[^1], see[^1-1].\n\n[^1]: Shared.\n\n[^1-1]: Other.\n'));
+    const ids = [...cited.matchAll(/id="(fnref-[^"]*)"/g)].map(m => m[1]);
+    assert(JSON.stringify(ids) === '["fnref-1","fnref-1-1","fnref-1-1-1"]', `repeated references get unique ids (got ${ids})`);
+}
+
+console.log('Test 67: Front matter becomes a field table diffed row by row');
+{
+    const old = lex('---\ntitle: "Plan"\nstatus: draft\ntags:\n  - a\n  - b\n---\n\n# Plan\n');
+    const now = lex('---\ntitle: "Plan"\nstatus: approved\ntags:\n  - a\n  - b\n---\n\n# Plan\n');
+    const card = old[0];
+    assert(card.type === 'table' && card.frontMatter, 'front matter lexed as a table');
+    assert(JSON.stringify(card.rows.map(row => row.map(cell => cell.text))) === JSON.stringify([['title', 'Plan'], ['status', 'draft'], ['tags', 'a, b']]),
+        'fields, quotes dropped, list joined');
+    assert(lex('Intro\n\n---\na: b\n---\n').every(t => !t.frontMatter), 'only at the top of the document');
+    assert(lex('---\nNot yaml at all\n---\n')[0].type === 'hr', 'no fields: a plain rule');
+
+    const result = diffTokens(old, now);
+    const td = result.changes.get(0)?.tableDiff;
+    assert(td && td.changed.size === 1 && td.changed.get(1)?.type === 'modified', 'one field changed');
+    assert(renderDiffHtml(old, now, result).startsWith('<table class="front-matter">'), 'card markup in the diff');
+    assert(sanitizeHtml('<table class="front-matter x"><tr><td class="y">a</td></tr></table>') ===
+        '<table class="front-matter"><tr><td>a</td></tr></table>', 'only known classes survive');
+}
+
+console.log('Test 68: Edited code lines are paired and diffed within the line');
+{
+    const code = (...lines) => lex('```js\n' + lines.join('\n') + '\n```\n')[0];
+    const cd = diffCodeLines(
+        code('const total = sum(items);', 'log(total);', 'return total;'),
+        code('const grandTotal = sum(items, tax);', 'notify();', 'return total + tax;'));
+    assert(JSON.stringify(cd.changed.get(0)) === '{"oldIdx":0,"ranges":[[6,16],[28,33]]}', `renamed and extended (got ${JSON.stringify(cd.changed.get(0))})`);
+    assert(cd.changed.get(1) === null, 'unrelated line stays a whole-line change');
+    assert(cd.changed.get(2)?.oldIdx === 2 && JSON.stringify(cd.changed.get(2).ranges) === '[[12,18]]', 'last line paired past the rewrite');
+    assert(cd.deleted.find(d => d.oldIdx === 1).ranges === null, 'rewritten old line has no ranges');
+    assert(JSON.stringify(cd.deleted.find(d => d.oldIdx === 0).ranges) === '[[6,11]]', 'old side ranges');
+    assert(cd.paired.get(0) === 0 && cd.paired.get(2) === 2 && !cd.paired.has(1), 'edited lines are paired');
+
+    const { changes } = describeChanges([code('let a = 1;', 'b();')], [code('let a = 2;', 'b();')]);
+    assert(changes.length === 1 && changes[0].kind === 'changed' && changes[0].block === 'code line' &&
+        changes[0].text === 'let a = 2;' && changes[0].oldText === 'let a = 1;' && changes[0].line === 2 && changes[0].oldLine === 2,
+        `edit listed once (got ${JSON.stringify(changes)})`);
+
+    // Highlighting is kept on both sides; the marks sit inside hljs's spans
+    const hljs = new Function(readFileSync(join(projectRoot, 'Sources/CCPlanView/Resources/highlight.min.js'), 'utf-8') + '; return hljs;')();
+    configureRenderer({ marked: markedModule, hljs });
+    const oldLine = highlightLine('const a = "x<y";', 'js', [[11, 14]], 'old');
+    const newLine = highlightLine('let value = 2;', 'js', [[0, 9]]);
+    configureRenderer({ marked: markedModule });
+    assert(oldLine === '<span class="hljs-keyword">const</span> a = <span class="hljs-string">&quot;<del class="diff-del">x&lt;y</del>&quot;</span>;',
+        `old line keeps its highlighting (got ${oldLine})`);
+    assert(newLine === '<span class="hljs-keyword"><ins class="diff-ins">let</ins></span><ins class="diff-ins"> value</ins> = <span class="hljs-number">2</span>;',
+        `mark split around a span (got ${newLine})`);
+    const html = renderDiffHtml([code('if (ok) run();')], [code('if (ready) run();')]);
+    assert(html.includes('<span class="code-line-deleted">if (<del class="diff-del">ok</del>) run();</span>') &&
+        html.includes('<span class="code-line-changed">if (<ins class="diff-ins">ready</ins>) run();</span>'), 'drawn into the diff');
+}
+
+console.log('Test 69: Diagnostics hooks: the diff cost limit and highlight failures');
+{
+    const before = diffCostLimitHits();
+    lcsPairs(range(10), range(10), (i, j) => i === j);
+    assert(diffCostLimitHits() === before, 'small diff stays under the limit');
+    lcsPairs(range(3000), range(3000), () => false);
+    assert(diffCostLimitHits() > before, 'rewrite of 3000 entries hits the limit');
+
+    const errors = [];
+    const brokenHljs = {
+        getLanguage: lang => (lang === 'js' ? {} : undefined),
+        highlight() { throw new Error('grammar failed'); },
+    };
+    configureRenderer({ marked: markedModule, hljs: brokenHljs, onError: (phase, err) => errors.push(`${phase}: ${err.message}`) });
+    const failed = highlightLine('a < b', 'js');
+    const unknown = highlightLine('a < b', 'nosuchlang');
+    configureRenderer({ marked: markedModule });
+    assert(failed === 'a &lt; b' && unknown === 'a &lt; b', 'both fall back to plain text');
+    assert(JSON.stringify(errors) === '["highlight: grammar failed"]', `only the failure is reported (got ${JSON.stringify(errors)})`);
+}
+
 // --- Summary ---
 console.log(`\n${'='.repeat(40)}`);
 console.log(`Results: ${passed} passed, ${failed} failed`);